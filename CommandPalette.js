@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { parseCommand, describeCommand, isAmbiguous, isRunnable } from './commands.js';
+import { isSpeechRecognitionSupported, listenForPhrase } from './speechInput.js';
+
+// Ctrl+K command palette. Typed or spoken phrases are parsed as they come in and previewed; a command that could
+// mean several tasks waits until one is picked. Spoken commands run as soon as the phrase ends, unless ambiguous.
+const CommandPalette = ({ tasks, now, startListening = false, onRun, onClose }) => {
+    const [input, setInput] = useState('');
+    const [selectedId, setSelectedId] = useState(null); // Chosen task when the command is ambiguous
+    const [isListening, setIsListening] = useState(false);
+    const [voiceError, setVoiceError] = useState(null);
+    const listenerRef = useRef(null);
+    const latestRef = useRef(null); // Props as of the latest render, for speech callbacks
+    latestRef.current = { tasks, now, onRun, onClose };
+    const canListen = isSpeechRecognitionSupported();
+
+    const command = parseCommand(input, tasks, now);
+    const ambiguous = isAmbiguous(command);
+    const selected = ambiguous ? command.matches.find(task => task.id === selectedId) : null;
+    const canRun = isRunnable(command) && (!ambiguous || selected);
+
+    const run = (commandToRun) => {
+        latestRef.current.onRun(commandToRun);
+        latestRef.current.onClose();
+    };
+
+    const runCurrent = () => {
+        if (!canRun) return;
+        run(ambiguous ? { ...command, matches: [selected] } : command);
+    };
+
+    const startVoice = () => {
+        if (!canListen || listenerRef.current) return;
+        setVoiceError(null);
+        setIsListening(true);
+        listenerRef.current = listenForPhrase({
+            onResult: (transcript, isFinal) => {
+                setInput(transcript);
+                setSelectedId(null);
+                if (!isFinal) return;
+                const spoken = parseCommand(transcript, latestRef.current.tasks, latestRef.current.now);
+                if (isRunnable(spoken) && !isAmbiguous(spoken)) run(spoken);
+            },
+            onError: setVoiceError,
+            onEnd: () => {
+                listenerRef.current = null;
+                setIsListening(false);
+            },
+        });
+    };
+
+    useEffect(() => {
+        if (startListening) startVoice();
+        return () => {
+            if (listenerRef.current) listenerRef.current.stop();
+        };
+    }, []); // Only when the palette opens
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black/60 flex items-start justify-center pt-24" onClick={onClose}>
+            <div
+                className="w-full max-w-xl p-4 bg-gray-800 border border-cyan-700 rounded-lg shadow-2xl text-sm space-y-3"
+                onClick={(e) => e.stopPropagation()}
+                role="dialog"
+                aria-label="Command palette"
+            >
+                <div className="flex space-x-2">
+                    <input
+                        type="text"
+                        autoFocus
+                        value={input}
+                        placeholder='Try "add high priority call vendor tomorrow"'
+                        onChange={(e) => { setInput(e.target.value); setSelectedId(null); }}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') runCurrent();
+                            else if (e.key === 'Escape') onClose();
+                        }}
+                        className="flex-grow p-3 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                        aria-label="Command"
+                    />
+                    {canListen && (
+                        <button
+                            onClick={() => (isListening ? listenerRef.current.stop() : startVoice())}
+                            className={`px-4 rounded-lg ${isListening ? 'bg-red-600 hover:bg-red-700 animate-pulse' : 'bg-gray-700 hover:bg-gray-600'}`}
+                            title={isListening ? 'Stop listening' : 'Speak a command'}
+                        >
+                            {isListening ? 'Listening...' : '🎤'}
+                        </button>
+                    )}
+                </div>
+
+                <p className={command.action === 'unknown' ? 'text-gray-400' : 'text-cyan-200'}>{describeCommand(command)}</p>
+                {voiceError && <p className="text-red-300">{voiceError}</p>}
+
+                {ambiguous && (
+                    <div>
+                        <p className="text-yellow-300 mb-1">Which one did you mean?</p>
+                        <ul className="max-h-48 overflow-y-auto custom-scrollbar space-y-1">
+                            {command.matches.map(task => (
+                                <li key={task.id}>
+                                    <label className="flex items-center px-2 py-1 rounded hover:bg-gray-700 cursor-pointer">
+                                        <input
+                                            type="radio"
+                                            name="command-match"
+                                            checked={selectedId === task.id}
+                                            onChange={() => setSelectedId(task.id)}
+                                            className="mr-2"
+                                        />
+                                        <span className={task.completed ? 'line-through text-gray-400' : 'text-white'}>{task.text}</span>
+                                    </label>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="flex justify-between items-center">
+                    <span className="text-gray-500">Enter to run · Esc to close</span>
+                    <button
+                        onClick={runCurrent}
+                        disabled={!canRun}
+                        className="px-4 py-2 bg-cyan-600 rounded-lg hover:bg-cyan-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                        {ambiguous ? 'Confirm' : 'Run'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
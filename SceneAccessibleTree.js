@@ -0,0 +1,44 @@
+import React from 'react';
+import { describeTask } from './sceneKeyboard.js';
+
+export const hologramElementId = (taskId) => `hologram-${taskId}`;
+
+const TreeItems = ({ tasks, level, focusedId, now }) => tasks.map(task => (
+    <li
+        key={task.id}
+        id={hologramElementId(task.id)}
+        role="treeitem"
+        aria-level={level}
+        aria-selected={task.id === focusedId}
+        aria-expanded={task.subtasks.length > 0 ? true : undefined}
+    >
+        {describeTask(task, now)}
+        {task.subtasks.length > 0 && (
+            <ul role="group">
+                <TreeItems tasks={task.subtasks} level={level + 1} focusedId={focusedId} now={now} />
+            </ul>
+        )}
+    </li>
+));
+
+// Offscreen tree mirroring the holograms on the active board, for screen readers. It is the focusable part of the
+// 3D scene: keyboard focus moves between holograms through aria-activedescendant, while the scene draws the focus
+// ring. `treeRef` lets the app return focus here after dialogs.
+const SceneAccessibleTree = ({ tasks, focusedId, now, label, describedBy, treeRef, onKeyDown, onFocus, onBlur }) => (
+    <ul
+        ref={treeRef}
+        role="tree"
+        tabIndex={0}
+        aria-label={label}
+        aria-describedby={describedBy}
+        aria-activedescendant={focusedId ? hologramElementId(focusedId) : undefined}
+        onKeyDown={onKeyDown}
+        onFocus={onFocus}
+        onBlur={onBlur}
+        className="sr-only"
+    >
+        <TreeItems tasks={tasks} level={1} focusedId={focusedId} now={now} />
+    </ul>
+);
+
+export default SceneAccessibleTree;
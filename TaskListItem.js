@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { isOverdue, parseTags, subtaskProgress } from './tasks.js';
+import { boardIdOf } from './boards.js';
+
+// One task in the side panel list, with an expandable editor for due date, tags, notes and subtasks.
+// Subtasks render as nested TaskListItems. Top-level tasks can also be moved to another of `boards`.
+// Tasks in `highlightIds` (search matches) are outlined; clicking a title calls onLocate to fly to its hologram.
+const TaskListItem = ({ task, depth = 0, now, boards = [], highlightIds = null, onToggle, onDelete, onUpdate, onAddSubtask, onMoveToBoard, onLocate }) => {
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [tagDraft, setTagDraft] = useState(null); // Tags being typed; null shows the task's current tags
+    const [subtaskText, setSubtaskText] = useState('');
+
+    const overdue = isOverdue(task, now);
+    const progress = subtaskProgress(task);
+    const isHighlighted = highlightIds !== null && highlightIds.has(task.id);
+
+    // Only an edited field is written back, so tags changed elsewhere (undo, sync, import) are never overwritten
+    const commitTags = () => {
+        if (tagDraft === null) return;
+        onUpdate(task.id, { tags: parseTags(tagDraft) });
+        setTagDraft(null);
+    };
+
+    const addSubtask = () => {
+        if (subtaskText.trim() === '') return;
+        onAddSubtask(task.id, subtaskText.trim());
+        setSubtaskText('');
+    };
+
+    return (
+        <li
+            className={`rounded-lg shadow-md transition-all duration-200 ${depth > 0 ? 'p-3' : 'p-4'}
+                ${task.completed ? 'bg-green-800/50 border border-green-700' : overdue ? 'bg-red-900/40 border border-red-700' : 'bg-gray-700 border border-gray-600'}
+                ${isHighlighted ? 'ring-2 ring-cyan-400' : ''}`}
+        >
+            <div className="flex items-center justify-between">
+                <div className="flex items-center flex-wrap">
+                    <input
+                        type="checkbox"
+                        checked={task.completed}
+                        onChange={() => onToggle(task.id)}
+                        aria-label={`Completed: ${task.text}`}
+                        className="form-checkbox h-5 w-5 text-cyan-500 rounded border-gray-500 focus:ring-cyan-500 cursor-pointer"
+                    />
+                    <button
+                        onClick={() => onLocate && onLocate(task.id)}
+                        className={`ml-3 text-left ${depth > 0 ? 'text-base' : 'text-lg'} ${task.completed ? 'line-through text-gray-400' : 'text-white'} ${onLocate ? 'hover:text-cyan-300' : 'cursor-default'}`}
+                        title={onLocate ? 'Show in 3D' : undefined}
+                        aria-label={onLocate ? `Show "${task.text}" in 3D` : undefined}
+                    >
+                        {task.text}
+                    </button>
+                    <span className={`ml-3 text-xs px-2 py-1 rounded-full
+                        ${task.priority === 0 ? 'bg-blue-600' : task.priority === 1 ? 'bg-yellow-600' : 'bg-red-600'}`}>
+                        {task.priority === 0 ? 'Low' : task.priority === 1 ? 'Medium' : 'High'}
+                    </span>
+                    {progress && (
+                        <span className="ml-2 text-xs text-gray-300">{progress.done}/{progress.total}</span>
+                    )}
+                    {task.dueDate && (
+                        <span className={`ml-2 text-xs ${overdue ? 'text-red-300 font-bold' : 'text-gray-400'}`}>
+                            {overdue ? 'Overdue: ' : 'Due '}{task.dueDate}
+                        </span>
+                    )}
+                    {task.tags.map(tag => (
+                        <span key={tag} className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-600 text-cyan-200">#{tag}</span>
+                    ))}
+                </div>
+                <div className="flex items-center">
+                    <button
+                        onClick={() => setIsExpanded(expanded => !expanded)}
+                        className="ml-2 px-2 py-1 text-xs text-gray-300 hover:text-white rounded hover:bg-gray-600"
+                        title="Edit details"
+                        aria-expanded={isExpanded}
+                        aria-label={`${isExpanded ? 'Close' : 'Edit'} details of "${task.text}"`}
+                    >
+                        {isExpanded ? 'Close' : 'Details'}
+                    </button>
+                    <button
+                        onClick={() => onDelete(task.id)}
+                        className="ml-2 p-2 text-red-400 hover:text-red-500 transition-colors duration-200 rounded-full hover:bg-gray-600"
+                        title="Delete Task"
+                        aria-label={`Delete "${task.text}"`}
+                    >
+                        <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                    </button>
+                </div>
+            </div>
+
+            {isExpanded && (
+                <div className="mt-3 space-y-2 text-sm">
+                    {depth === 0 && boards.length > 1 && (
+                        <label className="flex items-center justify-between">
+                            <span className="text-gray-300">Board</span>
+                            <select
+                                value={boardIdOf(task, boards)}
+                                onChange={(e) => onMoveToBoard(task.id, e.target.value)}
+                                className="p-1 rounded bg-gray-800 border border-gray-600 text-white"
+                            >
+                                {boards.map(board => (
+                                    <option key={board.id} value={board.id}>{board.name}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    <label className="flex items-center justify-between">
+                        <span className="text-gray-300">Due date</span>
+                        <input
+                            type="date"
+                            value={task.dueDate || ''}
+                            onChange={(e) => onUpdate(task.id, { dueDate: e.target.value || null })}
+                            className="p-1 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                    </label>
+                    <label className="flex items-center justify-between">
+                        <span className="text-gray-300">Tags</span>
+                        <input
+                            type="text"
+                            value={tagDraft ?? task.tags.join(', ')}
+                            placeholder="work, errands"
+                            onChange={(e) => setTagDraft(e.target.value)}
+                            onBlur={commitTags}
+                            onKeyPress={(e) => e.key === 'Enter' && commitTags()}
+                            className="w-2/3 p-1 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                    </label>
+                    <textarea
+                        value={task.notes}
+                        placeholder="Notes"
+                        aria-label="Notes"
+                        onChange={(e) => onUpdate(task.id, { notes: e.target.value })}
+                        className="w-full p-2 rounded bg-gray-800 border border-gray-600 text-white"
+                        rows={3}
+                    />
+                    <div className="flex space-x-2">
+                        <input
+                            type="text"
+                            value={subtaskText}
+                            placeholder="Add a subtask..."
+                            aria-label={`New subtask of "${task.text}"`}
+                            onChange={(e) => setSubtaskText(e.target.value)}
+                            onKeyPress={(e) => e.key === 'Enter' && addSubtask()}
+                            className="flex-grow p-1 rounded bg-gray-800 border border-gray-600 text-white"
+                        />
+                        <button onClick={addSubtask} className="px-3 py-1 bg-cyan-600 rounded hover:bg-cyan-700">Add subtask</button>
+                    </div>
+                </div>
+            )}
+
+            {task.subtasks.length > 0 && (
+                <ul className="mt-3 ml-4 space-y-2" aria-label={`Subtasks of "${task.text}"`}>
+                    {task.subtasks.map(subtask => (
+                        <TaskListItem
+                            key={subtask.id}
+                            task={subtask}
+                            depth={depth + 1}
+                            now={now}
+                            highlightIds={highlightIds}
+                            onToggle={onToggle}
+                            onDelete={onDelete}
+                            onUpdate={onUpdate}
+                            onAddSubtask={onAddSubtask}
+                            onLocate={onLocate}
+                        />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+export default TaskListItem;
@@ -0,0 +1,69 @@
+import { flattenTasks, toDateString, addDays } from './tasks.js';
+import { csvField } from './importExport.js';
+
+// Productivity statistics over a task tree (subtasks included): tasks created and completed per day, the
+// priority breakdown and the average time from creation to completion.
+
+export const ANALYTICS_DAYS = 14;
+const PRIORITY_NAMES = ['low', 'medium', 'high'];
+
+// { daily: [{ date, created, completed }] oldest first and ending today, byPriority: [{ priority, total, completed }],
+// total, completed, averageCompletionMs, timedCount }. Tasks completed before completion times were recorded
+// count as completed but not towards the daily series or the average; averageCompletionMs is null without any.
+export const computeTaskStats = (tasks, { now = Date.now(), days = ANALYTICS_DAYS } = {}) => {
+    const allTasks = flattenTasks(tasks).map(({ task }) => task);
+    const daily = Array.from({ length: days }, (_, index) => ({
+        date: toDateString(addDays(new Date(now), index - days + 1)),
+        created: 0,
+        completed: 0,
+    }));
+    const dayIndex = new Map(daily.map((day, index) => [day.date, index]));
+    const dayOf = (timestamp) => dayIndex.get(toDateString(new Date(timestamp)));
+
+    const durations = [];
+    allTasks.forEach(task => {
+        const createdDay = dayOf(task.createdAt);
+        if (createdDay !== undefined) daily[createdDay].created++;
+        if (!task.completed || !task.completedAt) return;
+        const completedDay = dayOf(task.completedAt);
+        if (completedDay !== undefined) daily[completedDay].completed++;
+        if (task.completedAt >= task.createdAt) durations.push(task.completedAt - task.createdAt);
+    });
+
+    return {
+        daily,
+        byPriority: PRIORITY_NAMES.map((_, priority) => {
+            const matching = allTasks.filter(task => task.priority === priority);
+            return { priority, total: matching.length, completed: matching.filter(task => task.completed).length };
+        }),
+        total: allTasks.length,
+        completed: allTasks.filter(task => task.completed).length,
+        averageCompletionMs: durations.length > 0 ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length : null,
+        timedCount: durations.length,
+    };
+};
+
+// Short human duration: '3d 4h', '5h 12m' or '8m'
+export const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// Three tables separated by blank lines: the daily series, the priority breakdown and the summary
+export const statsToCsv = (stats) => {
+    const table = (header, rows) => [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+    const averageHours = stats.averageCompletionMs === null ? null : (stats.averageCompletionMs / 3600000).toFixed(2);
+    return [
+        table(['date', 'created', 'completed'], stats.daily.map(day => [day.date, day.created, day.completed])),
+        table(['priority', 'total', 'completed'], stats.byPriority.map(row => [PRIORITY_NAMES[row.priority], row.total, row.completed])),
+        table(['metric', 'value'], [
+            ['total', stats.total],
+            ['completed', stats.completed],
+            ['average_hours_to_complete', averageHours],
+            ['timed_completions', stats.timedCount],
+        ]),
+    ].join('\r\n\r\n');
+};
@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+import { formatDuration } from './analytics.js';
+
+// Productivity chart standing on a board's ground plane, to the right of the task holograms: a back row of
+// created/completed bar pairs per day and a front row with one bar per priority (completed part at the bottom),
+// under an upright panel with the average time to complete. Bars are shared-geometry boxes rebuilt on sync().
+
+const CHART_X = 13; // Left edge, clear of the hologram grid around x = 0
+const DAILY_Z = 3;
+const PRIORITY_Z = 8;
+const MAX_BAR_HEIGHT = 6;
+const DAY_SPACING = 0.8;
+const BAR_WIDTH = 0.35;
+const PRIORITY_SPACING = 3.5;
+const PRIORITY_BAR_WIDTH = 1.6;
+
+const createBarMaterial = () => new THREE.MeshStandardMaterial({
+    transparent: true,
+    opacity: 0.75,
+    emissiveIntensity: 0.6,
+    depthWrite: false,
+});
+
+const setColor = (material, color) => {
+    material.color.set(color);
+    material.emissive.set(color);
+};
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const drawPanel = (canvas, stats, theme) => {
+    const context = canvas.getContext('2d');
+    const first = stats.daily[0];
+    const last = stats.daily[stats.daily.length - 1];
+    const css = (color) => `#${new THREE.Color(color).getHexString()}`;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.textBaseline = 'middle';
+    context.font = 'bold 40px sans-serif';
+    context.fillStyle = '#e2e8f0';
+    context.fillText(`${formatDay(first.date)} – ${formatDay(last.date)}`, 16, 36, canvas.width - 32);
+    context.font = '30px sans-serif';
+    context.fillStyle = css(theme.priorityColors[1]);
+    context.fillText('■ created', 16, 92);
+    context.fillStyle = css(theme.done);
+    context.fillText('■ completed', 200, 92);
+    context.fillStyle = '#e2e8f0';
+    const average = stats.averageCompletionMs === null ? 'n/a' : formatDuration(stats.averageCompletionMs);
+    context.fillText(`Avg. time to complete: ${average}`, 16, 144, canvas.width - 32);
+    context.fillStyle = '#94a3b8';
+    context.fillText(`${stats.completed} of ${stats.total} done · front: low → high priority`, 16, 192, canvas.width - 32);
+};
+
+export const createAnalyticsChart = (scene) => {
+    const group = new THREE.Group();
+    group.visible = false;
+    scene.add(group);
+
+    const barGeometry = new THREE.BoxGeometry(1, 1, 1);
+    barGeometry.translate(0, 0.5, 0); // Bars grow up from the ground
+    const materials = {
+        created: createBarMaterial(),
+        completed: createBarMaterial(),
+        priorities: [0, 1, 2].map(createBarMaterial),
+    };
+    const bars = new THREE.Group();
+    group.add(bars);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 640;
+    canvas.height = 224;
+    const texture = new THREE.CanvasTexture(canvas);
+    const panel = new THREE.Mesh(
+        new THREE.PlaneGeometry(11, 3.85),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false, side: THREE.DoubleSide })
+    );
+    panel.position.set(CHART_X + 5.5, MAX_BAR_HEIGHT + 3, DAILY_Z - 1);
+    group.add(panel);
+
+    const addBar = (material, x, z, width, bottom, height) => {
+        if (height <= 0) return;
+        const bar = new THREE.Mesh(barGeometry, material);
+        bar.position.set(x, bottom, z);
+        bar.scale.set(width, height, width);
+        bars.add(bar);
+    };
+
+    // `origin` is the board's world position; `theme` comes from THEMES
+    const sync = (stats, origin, theme) => {
+        group.position.copy(origin);
+        setColor(materials.created, theme.priorityColors[1]);
+        setColor(materials.completed, theme.done);
+        materials.priorities.forEach((material, priority) => setColor(material, theme.priorityColors[priority]));
+
+        bars.clear();
+        const dailyMax = Math.max(1, ...stats.daily.flatMap(day => [day.created, day.completed]));
+        stats.daily.forEach((day, index) => {
+            const x = CHART_X + index * DAY_SPACING;
+            addBar(materials.created, x, DAILY_Z, BAR_WIDTH, 0, (day.created / dailyMax) * MAX_BAR_HEIGHT);
+            addBar(materials.completed, x + BAR_WIDTH, DAILY_Z, BAR_WIDTH, 0, (day.completed / dailyMax) * MAX_BAR_HEIGHT);
+        });
+        const priorityMax = Math.max(1, ...stats.byPriority.map(row => row.total));
+        stats.byPriority.forEach((row, index) => {
+            const x = CHART_X + 1 + index * PRIORITY_SPACING;
+            const doneHeight = (row.completed / priorityMax) * MAX_BAR_HEIGHT;
+            addBar(materials.completed, x, PRIORITY_Z, PRIORITY_BAR_WIDTH, 0, doneHeight);
+            addBar(materials.priorities[row.priority], x, PRIORITY_Z, PRIORITY_BAR_WIDTH, doneHeight, ((row.total - row.completed) / priorityMax) * MAX_BAR_HEIGHT);
+        });
+
+        drawPanel(canvas, stats, theme);
+        texture.needsUpdate = true;
+    };
+
+    const setVisible = (visible) => {
+        group.visible = visible;
+    };
+
+    const dispose = () => {
+        scene.remove(group);
+        barGeometry.dispose();
+        [materials.created, materials.completed, ...materials.priorities].forEach(material => material.dispose());
+        panel.geometry.dispose();
+        panel.material.dispose();
+        texture.dispose();
+    };
+
+    return { sync, setVisible, dispose };
+};
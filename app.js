@@ -1,9 +1,42 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'; // For camera control
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
-import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
-import { v4 as uuidv4 } from 'uuid'; // For unique IDs
+import { createTaskStorage } from './storage.js'; // Versioned localStorage/IndexedDB persistence
+import { LAYOUT_STRATEGIES, DEFAULT_LAYOUT, computeLayout } from './layout.js'; // Task attribute -> XYZ mapping
+import { createTaskReconciler } from './sceneReconciler.js'; // Keyed, incremental task mesh updates
+import { loadFontChain } from './hologramText.js'; // Bundled fonts with glyph fallback
+import { createTask, updateTaskById, removeTaskById, duplicateTaskById, findTaskById, flattenTasks, syncParentCompletion, toggleCompletionById, moveTaskToBoard, removeCompletedTasks } from './tasks.js';
+import { PRIORITY_ZONES, GROUND_SIZE, createHologramInteraction } from './interaction.js';
+import { DEFAULT_BOARDS, createBoard, boardIdOf, groupTasksByBoard, summarizeBoards } from './boards.js'; // Named boards of tasks
+import { boardOrigin, boardIndexAt, boardView, overviewView, hologramView, analyticsView, createBoardPlanes, createCameraFlight } from './boardScene.js';
+import TaskListItem from './TaskListItem.js';
+import CommandPalette from './CommandPalette.js';
+import { filterToQuery } from './commands.js'; // Natural-language commands
+import { parseQuery, isEmptyQuery, matchTaskTree } from './taskQuery.js'; // Search bar query language
+import { loadSavedFilters, saveSavedFilters } from './savedFilters.js';
+import { isSpeechRecognitionSupported } from './speechInput.js';
+import { SNAPSHOT_SIZES, exportSceneAsGltf, captureSnapshot } from './sceneExport.js';
+import { EXPORT_FORMATS, exportTasks, detectFormat, importTasks, buildImportPreview, mergeImportedTasks, downloadFile } from './importExport.js';
+import { COPILOT_PROVIDERS, PRIORITY_WORDS, createCopilot, loadCopilotSettings, saveCopilotSettings } from './copilot.js';
+import { getBenchmarkSizeFromUrl, createSyntheticTasks, summarizeFrames } from './benchmark.js';
+import { useTaskHistory } from './useTaskHistory.js'; // Undo/redo command log
+import { useTaskSync } from './useTaskSync.js'; // Multi-user sync through the relay
+import { loadSyncSettings, saveSyncSettings } from './syncClient.js';
+import { createPresenceMarkers } from './presenceMarkers.js';
+import { createBloomPipeline } from './postProcessing.js';
+import { THEMES, loadVisualSettings, saveVisualSettings } from './visualSettings.js'; // Theme, effects, reduced motion
+import { projectHolograms, readingOrder, nextInDirection, orbitCamera, panCamera, describeTask } from './sceneKeyboard.js';
+import { createFocusRing } from './focusRing.js';
+import SceneAccessibleTree from './SceneAccessibleTree.js';
+import { computeTaskStats, formatDuration, statsToCsv, ANALYTICS_DAYS } from './analytics.js'; // Productivity stats
+import { createAnalyticsChart } from './analyticsChart.js';
+
+const BUILD_BUDGET_MS = 8; // Time per frame the reconciler may spend building text geometry
+const BENCHMARK_FRAMES = 240; // Frames sampled after a benchmark board finishes building
+const UNDO_TOAST_MS = 5000;
+const CAMERA_STEP = Math.PI / 24; // Keyboard orbit per key press, in radians
+const ZOOM_STEP = 0.85; // Keyboard zoom factor per key press
+const PAN_STEP = 1.5; // Keyboard pan per key press, in world units
 
 // Main App component
 const App = () => {
@@ -12,54 +45,326 @@ const App = () => {
     const sceneRef = useRef(null);
     const cameraRef = useRef(null);
     const rendererRef = useRef(null);
+    const bloomRef = useRef(null); // Post-processing for the hologram glow
+    const axesHelperRef = useRef(null);
     const controlsRef = useRef(null);
-    const fontRef = useRef(null); // Ref to store the loaded font
-    const raycasterRef = useRef(new THREE.Raycaster()); // Raycaster for interactive clicks
-    const mouseRef = useRef(new THREE.Vector2()); // Mouse coordinates for raycasting
+    const fontRef = useRef(null); // Ref to store the loaded font chain
+    const tasksRef = useRef([]); // Latest tasks, for scene event handlers registered once on mount
+    const storageRef = useRef(null); // Task persistence layer, created on mount
+    const reconcilerRef = useRef(null); // Keeps task meshes in sync with task state
+    const benchmarkRunRef = useRef(null); // In-flight benchmark measurements, read by the animation loop
+    const undoToastTimerRef = useRef(null);
+    const boardsRef = useRef(DEFAULT_BOARDS); // Latest boards, for scene event handlers
+    const boardPlanesRef = useRef(null); // Board ground planes and labels
+    const cameraFlightRef = useRef(null); // Camera moves between boards and the overview
+    const skipBoardFlightRef = useRef(false); // Set when a board switch should keep the flight already under way
+    const presenceMarkersRef = useRef(null); // Other users' cameras
+    const analyticsChartRef = useRef(null); // 3D productivity chart on the active board
+    const focusedTaskIdRef = useRef(null); // Keyboard focus, for the focus ring in the render loop
+    const sceneTreeRef = useRef(null); // Focusable offscreen tree that carries keyboard control of the scene
+    const deleteDialogRef = useRef(null); // Keyboard delete confirmation, which keeps focus while it is open
 
     // State to manage tasks
     const [tasks, setTasks] = useState([]);
+    const [now, setNow] = useState(Date.now); // Refreshed every minute so overdue flags stay current
+    const [hoverInfo, setHoverInfo] = useState(null); // { taskId, x, y } for the hologram tooltip
+    const [contextMenu, setContextMenu] = useState(null); // { taskId, x, y, editText } for the right-click menu
     const [newTaskText, setNewTaskText] = useState('');
     const [suggestedPriority, setSuggestedPriority] = useState(null); // State for LLM suggested priority
     const [isSuggestingPriority, setIsSuggestingPriority] = useState(false); // Loading state for LLM call
+    const [copilotSettings, setCopilotSettings] = useState(loadCopilotSettings); // Provider, key, timeout, retries
+    const [showCopilotSettings, setShowCopilotSettings] = useState(false);
+    const [copilotError, setCopilotError] = useState(null); // Last copilot failure, shown to the user
+    const [isReprioritizing, setIsReprioritizing] = useState(false); // Loading state for the batch call
+    const [priorityProposals, setPriorityProposals] = useState(null); // Batch suggestions awaiting approval
+    const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].id);
+    const [importPreview, setImportPreview] = useState(null); // { fileName, entries } awaiting confirmation
+    const [importError, setImportError] = useState(null);
+    const [snapshotSize, setSnapshotSize] = useState(SNAPSHOT_SIZES[0].id);
+    const [sceneExportError, setSceneExportError] = useState(null);
+    const [hasLoadedTasks, setHasLoadedTasks] = useState(false); // Saved tasks have been read from storage
+    const [quarantinedCount, setQuarantinedCount] = useState(0); // Saved entries rejected as corrupt
+    const [loadError, setLoadError] = useState(null); // Saved tasks could not be read; saving stays off so they are not overwritten
+    const [fontStatus, setFontStatus] = useState('loading'); // 'loading' | 'ready' | 'unavailable'
+    const [layoutStrategy, setLayoutStrategy] = useState(DEFAULT_LAYOUT); // How task attributes map onto the XYZ axes
+    const [benchmarkSize, setBenchmarkSize] = useState(getBenchmarkSizeFromUrl); // Non-null when benchmark mode is on
+    const [benchmarkTasks, setBenchmarkTasks] = useState(null); // Synthetic board rendered instead of `tasks` while benchmarking
+    const [benchmarkResult, setBenchmarkResult] = useState(null);
+    const [undoToast, setUndoToast] = useState(null); // { entryId, label } offered after destructive actions
+    const [focusedTaskId, setFocusedTaskId] = useState(null); // Hologram with keyboard focus
+    const [pendingDeleteId, setPendingDeleteId] = useState(null); // Hologram whose keyboard delete awaits confirmation
+    const [announcement, setAnnouncement] = useState({ id: 0, text: '' }); // Latest message for the live region
+    const [isSceneFocused, setIsSceneFocused] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const [boards, setBoards] = useState(DEFAULT_BOARDS);
+    const [activeBoardId, setActiveBoardId] = useState(DEFAULT_BOARDS[0].id);
+    const [isOverview, setIsOverview] = useState(false); // Camera framing every board instead of the active one
+    const [boardNameDraft, setBoardNameDraft] = useState(null); // { mode: 'new' | 'rename', name } while naming a board
+    const [syncSettings, setSyncSettings] = useState(loadSyncSettings); // Relay URL, display name, on/off
+    const [commandPalette, setCommandPalette] = useState(null); // { listen } while the palette is open
+    const [searchText, setSearchText] = useState(''); // Query typed in the search bar, or set by "show only ..." commands
+    const [searchHidesOthers, setSearchHidesOthers] = useState(false); // Hide non-matching holograms instead of fading them
+    const [savedFilters, setSavedFilters] = useState(() => loadSavedFilters(syncSettings.name)); // Query strings
+    const [showSyncSettings, setShowSyncSettings] = useState(false);
+    const [relayUrlDraft, setRelayUrlDraft] = useState(null); // Relay URL being typed; applied on blur or Enter so each keystroke doesn't reconnect
+    const [visualSettings, setVisualSettings] = useState(loadVisualSettings);
+    const [showDisplaySettings, setShowDisplaySettings] = useState(false);
+    const [showAnalytics, setShowAnalytics] = useState(false); // Stats panel and the 3D chart beside the holograms
 
-    // Helper function to map priority text to numerical value
-    const mapPriorityTextToNumber = (priorityText) => {
-        switch (priorityText.toLowerCase().trim()) {
-            case 'low': return 0;
-            case 'medium': return 1;
-            case 'high': return 2;
-            default: return 1; // Default to Medium if LLM gives unexpected output
-        }
+    // Every task mutation goes through the command log, so it can be undone and redone
+    const taskHistory = useTaskHistory(tasksRef, setTasks);
+
+    // Shares tasks and boards with everyone on the same relay, once the saved board has loaded
+    const sync = useTaskSync({ settings: syncSettings, tasks, tasksRef, setTasks, boards, setBoards, isReady: hasLoadedTasks });
+
+    useEffect(() => {
+        saveSyncSettings(syncSettings);
+    }, [syncSettings]);
+
+    // Saved filters belong to the display name, so switching names switches lists
+    useEffect(() => {
+        setSavedFilters(loadSavedFilters(syncSettings.name));
+    }, [syncSettings.name]);
+
+    const updateSyncSetting = (key, value) => {
+        setSyncSettings(prevSettings => ({ ...prevSettings, [key]: value }));
+    };
+
+    const commitRelayUrl = () => {
+        if (relayUrlDraft === null) return;
+        updateSyncSetting('url', relayUrlDraft.trim());
+        setRelayUrlDraft(null);
     };
 
-    // Function to load font for 3D text
+    // The active board falls back to the first one if it was deleted
+    const activeBoard = boards.find(board => board.id === activeBoardId) || boards[0];
+
+    // Copilot for the selected provider; recreated (with a fresh cache) when settings change
+    const copilot = useMemo(() => createCopilot(copilotSettings), [copilotSettings]);
+
+    // Persist copilot settings whenever they change
+    useEffect(() => {
+        saveCopilotSettings(copilotSettings);
+    }, [copilotSettings]);
+
+    const updateCopilotSetting = (key, value) => {
+        setCopilotSettings(prevSettings => ({ ...prevSettings, [key]: value }));
+    };
+
+    // Function to load the bundled fonts for 3D text
     const loadFont = useCallback(() => {
-        const loader = new FontLoader();
-        loader.load('https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/fonts/helvetiker_regular.typeface.json', (font) => {
-            fontRef.current = font;
-            // After font is loaded, trigger a re-render to draw text if tasks exist
-            setTasks(prevTasks => [...prevTasks]); // This will re-run the task useEffect
-            console.log("Font loaded successfully.");
-        }, undefined, (error) => {
-            console.error("Error loading font:", error);
-        });
+        loadFontChain()
+            .then((fonts) => {
+                fontRef.current = fonts;
+                setFontStatus('ready');
+                console.log(`Loaded ${fonts.length} fonts.`);
+            })
+            .catch((error) => {
+                // Without vector fonts every title falls back to flat canvas text
+                console.error("Error loading fonts:", error);
+                fontRef.current = [];
+                setFontStatus('unavailable');
+            })
+            .finally(() => {
+                // Queued task meshes start building on the next frame
+                if (reconcilerRef.current) reconcilerRef.current.setFonts(fontRef.current);
+            });
     }, []);
 
-    // Function to toggle task completion (used by both UI and 3D interaction)
-    const toggleTaskCompletion = useCallback((id) => {
-        setTasks(prevTasks =>
-            prevTasks.map(task =>
-                task.id === id ? { ...task, completed: !task.completed } : task
-            )
-        );
+    // Offer a one-click undo for a few seconds after a destructive action
+    const showUndoToast = useCallback((entry) => {
+        if (!entry) return;
+        clearTimeout(undoToastTimerRef.current);
+        setUndoToast({ entryId: entry.id, label: entry.label });
+        undoToastTimerRef.current = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
     }, []);
 
-    // Function to delete a task (used by UI)
+    useEffect(() => () => clearTimeout(undoToastTimerRef.current), []);
+
+    // Function to toggle task completion (used by both UI and 3D interaction, for tasks and subtasks)
+    const toggleTaskCompletion = useCallback((id) => {
+        const task = findTaskById(tasksRef.current, id);
+        if (!task) return;
+        taskHistory.execute(`${task.completed ? 'Reopen' : 'Complete'} "${task.text}"`, prevTasks => toggleCompletionById(prevTasks, id));
+    }, [taskHistory.execute]);
+
+    // Function to delete a task or subtask (used by UI)
     const deleteTask = useCallback((id) => {
-        setTasks(prevTasks => prevTasks.filter(task => task.id !== id));
+        const task = findTaskById(tasksRef.current, id);
+        if (!task) return;
+        const entry = taskHistory.execute(`Delete "${task.text}"`, prevTasks => syncParentCompletion(removeTaskById(prevTasks, id)));
+        showUndoToast(entry);
+    }, [taskHistory.execute, showUndoToast]);
+
+    // Function to edit task fields such as due date, tags and notes (used by UI)
+    const updateTask = useCallback((id, changes) => {
+        const task = findTaskById(tasksRef.current, id);
+        if (!task) return;
+        const fields = Object.keys(changes).join(', ');
+        // Typing in the notes box edits on every keystroke; coalesce those into one entry per burst
+        taskHistory.execute(`Edit ${fields} of "${task.text}"`, prevTasks => updateTaskById(prevTasks, id, current => ({ ...current, ...changes })), {
+            coalesceKey: `${id}:${fields}`,
+        });
+    }, [taskHistory.execute]);
+
+    // Function to add a subtask under any task; it inherits the parent's priority
+    const addSubtask = useCallback((parentId, text) => {
+        taskHistory.execute(`Add subtask "${text}"`, prevTasks => syncParentCompletion(updateTaskById(prevTasks, parentId, parent => ({
+            ...parent,
+            subtasks: [...parent.subtasks, createTask(text, { priority: parent.priority, boardId: parent.boardId })],
+        }))));
+    }, [taskHistory.execute]);
+
+    // Function to duplicate a task (and its subtasks) next to the original
+    const duplicateTask = useCallback((id) => {
+        const task = findTaskById(tasksRef.current, id);
+        if (!task) return;
+        taskHistory.execute(`Duplicate "${task.text}"`, prevTasks => syncParentCompletion(duplicateTaskById(prevTasks, id)));
+    }, [taskHistory.execute]);
+
+    // Pin a dragged hologram where it was dropped; crossing into another priority zone sets that priority,
+    // and dropping it over another board's plane moves it to that board
+    const handleDragEnd = useCallback((id, position, fromZone, toZone) => {
+        const task = findTaskById(tasksRef.current, id);
+        if (!task) return;
+        const currentBoards = boardsRef.current;
+        const boardIndex = boardIndexAt(position.z, currentBoards.length);
+        const board = currentBoards[boardIndex];
+        const localPosition = { // Positions are stored relative to the board's plane
+            x: position.x,
+            y: position.y,
+            z: THREE.MathUtils.clamp(position.z - boardOrigin(boardIndex).z, -GROUND_SIZE / 2, GROUND_SIZE / 2),
+        };
+        const changesBoard = board.id !== boardIdOf(task, currentBoards);
+        const changesPriority = fromZone !== toZone;
+
+        const label = changesBoard ? `Move "${task.text}" to ${board.name}`
+            : changesPriority ? `Move "${task.text}" to ${toZone.label} priority` : `Move "${task.text}"`;
+        taskHistory.execute(label, prevTasks => updateTaskById(moveTaskToBoard(prevTasks, id, board.id, localPosition), id, current => ({
+            ...current,
+            priority: changesPriority ? toZone.priority : current.priority,
+        })));
+    }, [taskHistory.execute]);
+
+    // Move a top-level task to another board from the list; it takes a layout slot there
+    const moveTaskToOtherBoard = useCallback((id, boardId) => {
+        const task = findTaskById(tasksRef.current, id);
+        const board = boardsRef.current.find(candidate => candidate.id === boardId);
+        if (!task || !board) return;
+        taskHistory.execute(`Move "${task.text}" to ${board.name}`, prevTasks => moveTaskToBoard(prevTasks, id, boardId));
+    }, [taskHistory.execute]);
+
+    // Only top-level holograms can be dragged; subtasks follow their parent's orbit
+    const canDragTask = useCallback((id) => tasksRef.current.some(task => task.id === id), []);
+
+    // Convert viewport coordinates to coordinates inside the canvas container
+    const toMountCoordinates = (clientX, clientY) => {
+        const rect = mountRef.current.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    };
+
+    const handleHover = useCallback((id, clientX, clientY) => {
+        setHoverInfo(id ? { taskId: id, ...toMountCoordinates(clientX, clientY) } : null);
+    }, []);
+
+    const handleContextMenu = useCallback((id, clientX, clientY) => {
+        setContextMenu({ taskId: id, editText: null, ...toMountCoordinates(clientX, clientY) });
+    }, []);
+
+    // Keep the refs the scene handlers read in step with state
+    useEffect(() => {
+        tasksRef.current = tasks;
+    }, [tasks]);
+
+    useEffect(() => {
+        boardsRef.current = boards;
+    }, [boards]);
+
+    // Ctrl/Cmd+K opens the command palette anywhere. Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo;
+    // text fields keep their own undo.
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            if (event.key.toLowerCase() === 'k') {
+                event.preventDefault();
+                setCommandPalette(palette => (palette ? null : { listen: false }));
+                return;
+            }
+            const target = event.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                taskHistory.undo();
+                setUndoToast(null);
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                taskHistory.redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [taskHistory.undo, taskHistory.redo]);
+
+    // Tick once a minute so due dates that pass are flagged without waiting for an edit
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 60000);
+        return () => clearInterval(interval);
     }, []);
 
+    // Benchmark bookkeeping, called by the animation loop with each frame's duration
+    const recordBenchmarkFrame = useCallback((frameMs, isBuilding) => {
+        const run = benchmarkRunRef.current;
+        if (!run) return;
+        if (run.buildMs === null) {
+            // The board is built once the reconciler's queue has filled and drained again
+            if (isBuilding) run.sawBuilding = true;
+            else if (run.sawBuilding) run.buildMs = performance.now() - run.startedAt;
+            return;
+        }
+        run.frameTimes.push(frameMs);
+        if (run.frameTimes.length >= BENCHMARK_FRAMES) {
+            benchmarkRunRef.current = null;
+            const result = { taskCount: run.taskCount, buildMs: run.buildMs, ...summarizeFrames(run.frameTimes) };
+            console.log("Benchmark result:", result);
+            setBenchmarkResult(result);
+        }
+    }, []);
+
+    // Load saved tasks when component mounts
+    useEffect(() => {
+        const storage = createTaskStorage();
+        storageRef.current = storage;
+        let cancelled = false;
+
+        storage.load()
+            .then(({ tasks: savedTasks, boards: savedBoards, quarantined }) => {
+                if (cancelled) return;
+                // Keep any task added while loading, after the saved ones
+                const loadedTasks = [...savedTasks, ...tasksRef.current.filter(task => !savedTasks.some(saved => saved.id === task.id))];
+                tasksRef.current = loadedTasks;
+                setTasks(loadedTasks);
+                if (savedBoards) setBoards(savedBoards);
+                setQuarantinedCount(quarantined);
+                setHasLoadedTasks(true);
+                console.log(`Loaded ${savedTasks.length} saved tasks.`);
+            })
+            .catch((error) => {
+                console.error("Error loading saved tasks:", error);
+                if (!cancelled) setLoadError(error.message || String(error));
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Save tasks after every change, once the saved board has been loaded
+    useEffect(() => {
+        if (!hasLoadedTasks || !storageRef.current) return;
+        storageRef.current.save(tasks, boards);
+    }, [tasks, boards, hasLoadedTasks]);
+
     // Initialize 3D scene
     useEffect(() => {
         // Load font when component mounts
@@ -105,34 +410,51 @@ const App = () => {
         directionalLight.castShadow = true;
         scene.add(directionalLight);
 
-        // Add a ground plane for reference
-        const planeGeometry = new THREE.PlaneGeometry(50, 50);
-        const planeMaterial = new THREE.MeshStandardMaterial({
-            color: 0x00ffff, // Cyan for a holographic grid
-            transparent: true,
-            opacity: 0.1,
-            side: THREE.DoubleSide
-        });
-        const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-        plane.rotation.x = -Math.PI / 2;
-        plane.receiveShadow = true;
-        scene.add(plane);
-
         // --- Debugging Helpers ---
-        // Add an AxesHelper to show X, Y, Z axes
+        // Add an AxesHelper to show X, Y, Z axes (shown from the display settings, with the board grids)
         const axesHelper = new THREE.AxesHelper(10);
+        axesHelper.visible = false;
         scene.add(axesHelper);
-
-        // Add a GridHelper to visualize the ground plane
-        const gridHelper = new THREE.GridHelper(50, 50, 0x888888, 0x444444);
-        scene.add(gridHelper);
+        axesHelperRef.current = axesHelper;
         // --- End Debugging Helpers ---
 
+        // Bloom makes the holograms' glow bleed into the dark around them
+        const bloom = createBloomPipeline(renderer, scene, camera);
+        bloomRef.current = bloom;
+
+        // One ground plane per board (with its grid, priority bands and a label with task counts)
+        const boardPlanes = createBoardPlanes(scene);
+        boardPlanesRef.current = boardPlanes;
+        const cameraFlight = createCameraFlight(camera, controls);
+        cameraFlightRef.current = cameraFlight;
+        const presenceMarkers = createPresenceMarkers(scene);
+        presenceMarkersRef.current = presenceMarkers;
+        const analyticsChart = createAnalyticsChart(scene);
+        analyticsChartRef.current = analyticsChart;
+
+        // Task meshes are created and updated incrementally by the reconciler
+        const reconciler = createTaskReconciler(scene);
+        if (fontRef.current) reconciler.setFonts(fontRef.current);
+        reconcilerRef.current = reconciler;
+        const focusRing = createFocusRing(scene);
+
         // Animation loop
+        const clock = new THREE.Clock();
+        let lastFrameTime = performance.now();
         const animate = () => {
             requestAnimationFrame(animate);
+            const frameStart = performance.now();
+            recordBenchmarkFrame(frameStart - lastFrameTime, reconciler.isBuilding());
+            lastFrameTime = frameStart;
+
+            reconciler.flush(BUILD_BUDGET_MS);
+            // Ease task holograms towards their layout positions (frame-rate independent) and advance orbits
+            const easing = 1 - Math.pow(0.002, clock.getDelta());
+            reconciler.update(clock.elapsedTime, easing);
+            focusRing.update(focusedTaskIdRef.current && reconciler.getMesh(focusedTaskIdRef.current));
+            cameraFlight.update();
             controls.update(); // Only required if controls.enableDamping is set to true
-            renderer.render(scene, camera);
+            bloom.render();
         };
         animate();
 
@@ -142,45 +464,58 @@ const App = () => {
                 camera.aspect = currentMount.clientWidth / currentMount.clientHeight;
                 camera.updateProjectionMatrix();
                 renderer.setSize(currentMount.clientWidth, currentMount.clientHeight);
+                bloom.syncSize();
             }
         };
         window.addEventListener('resize', handleResize);
 
-        // Handle 3D task click interaction (Raycasting)
-        const onCanvasClick = (event) => {
-            if (!currentMount || !cameraRef.current || !sceneRef.current) return;
-
-            // Calculate mouse position in normalized device coordinates (-1 to +1)
-            mouseRef.current.x = (event.clientX / currentMount.clientWidth) * 2 - 1;
-            mouseRef.current.y = -(event.clientY / currentMount.clientHeight) * 2 + 1;
-
-            // Update the raycaster with the camera and mouse position
-            raycasterRef.current.setFromCamera(mouseRef.current, cameraRef.current);
-
-            // Calculate objects intersecting the ray
-            const intersects = raycasterRef.current.intersectObjects(sceneRef.current.children);
-
-            for (let i = 0; i < intersects.length; i++) {
-                // Check if the intersected object is a task mesh
-                if (intersects[i].object.userData.isTask && intersects[i].object.userData.taskId) {
-                    toggleTaskCompletion(intersects[i].object.userData.taskId);
-                    break; // Only interact with the first intersected task
-                }
-            }
-        };
-        currentMount.addEventListener('click', onCanvasClick);
+        // Handle 3D task interaction (Raycasting): hover, click to toggle, drag to move, right-click menu
+        const interaction = createHologramInteraction({
+            element: currentMount,
+            canvas: renderer.domElement,
+            camera,
+            scene,
+            controls,
+            reconciler,
+            callbacks: {
+                onHover: handleHover,
+                onToggle: toggleTaskCompletion,
+                onDragEnd: handleDragEnd,
+                onContextMenu: handleContextMenu,
+                canDrag: canDragTask,
+            },
+            // Holograms can be carried across every board's plane
+            getDragBounds: () => ({
+                minZ: boardOrigin(boardsRef.current.length - 1).z - GROUND_SIZE / 2,
+                maxZ: GROUND_SIZE / 2,
+            }),
+        });
 
 
         // Cleanup on component unmount
         return () => {
             window.removeEventListener('resize', handleResize);
+            interaction.dispose();
+            cameraFlight.dispose();
+            cameraFlightRef.current = null;
+            boardPlanes.dispose();
+            boardPlanesRef.current = null;
+            presenceMarkers.dispose();
+            presenceMarkersRef.current = null;
+            analyticsChart.dispose();
+            analyticsChartRef.current = null;
+            bloom.dispose();
+            bloomRef.current = null;
+            focusRing.dispose();
+            axesHelperRef.current = null;
             if (currentMount) {
-                currentMount.removeEventListener('click', onCanvasClick);
                 if (renderer.domElement) {
                     currentMount.removeChild(renderer.domElement);
                 }
             }
             // Dispose of Three.js objects to prevent memory leaks
+            reconciler.dispose(); // Task meshes share cached geometry and materials
+            reconcilerRef.current = null;
             scene.traverse((object) => {
                 if (object.isMesh) {
                     object.geometry.dispose();
@@ -191,83 +526,369 @@ const App = () => {
             controls.dispose();
             console.log("Three.js scene cleaned up.");
         };
-    }, [loadFont, toggleTaskCompletion]); // Depend on loadFont and toggleTaskCompletion
+    }, [loadFont, toggleTaskCompletion, recordBenchmarkFrame, handleHover, handleDragEnd, handleContextMenu, canDragTask]); // All stable callbacks
 
-    // Effect to update 3D tasks when `tasks` state changes or font is loaded
+    // Apply and remember the display settings
     useEffect(() => {
-        const scene = sceneRef.current;
-        const font = fontRef.current;
+        saveVisualSettings(visualSettings);
+        const { theme, intensity, bloom, reducedMotion, showDebugHelpers } = visualSettings;
+        if (sceneRef.current) sceneRef.current.background = new THREE.Color(THEMES[theme].background);
+        if (reconcilerRef.current) {
+            reconcilerRef.current.setTheme(THEMES[theme]);
+            reconcilerRef.current.setEffects({ intensity, reducedMotion });
+        }
+        if (axesHelperRef.current) axesHelperRef.current.visible = showDebugHelpers;
+        if (boardPlanesRef.current) boardPlanesRef.current.setDebugHelpers(showDebugHelpers);
+        if (cameraFlightRef.current) cameraFlightRef.current.setInstant(reducedMotion);
+        if (rendererRef.current && bloomRef.current) {
+            // Low-power: native pixels only, and no bloom pass
+            rendererRef.current.setPixelRatio(reducedMotion ? 1 : window.devicePixelRatio);
+            bloomRef.current.syncSize();
+            bloomRef.current.setBloom(bloom && !reducedMotion, intensity * 0.8);
+        }
+    }, [visualSettings]);
+
+    const updateVisualSetting = (key, value) => {
+        setVisualSettings(prevSettings => ({ ...prevSettings, [key]: value }));
+    };
 
-        if (!scene || !font) {
-            console.log("Scene or font not ready for task rendering.");
+    // Seed a synthetic board and measure build time and frame times
+    const runBenchmark = () => {
+        const count = Math.max(1, benchmarkSize || 0);
+        setBenchmarkResult(null);
+        setBenchmarkTasks(createSyntheticTasks(count, activeBoard.id));
+        benchmarkRunRef.current = { taskCount: count, startedAt: performance.now(), sawBuilding: false, buildMs: null, frameTimes: [] };
+    };
+
+    // Leave the synthetic board and return to the saved tasks
+    const stopBenchmark = () => {
+        benchmarkRunRef.current = null;
+        setBenchmarkTasks(null);
+    };
+
+    // Effect to sync 3D tasks when `tasks` state or the layout changes
+    useEffect(() => {
+        const reconciler = reconcilerRef.current;
+        if (!reconciler) {
+            console.log("Scene not ready for task rendering.");
             return;
         }
-
-        // Remove existing task meshes from the scene
-        const tasksToRemove = [];
-        scene.children.forEach(child => {
-            if (child.userData.isTask) {
-                tasksToRemove.push(child);
-            }
-        });
-        tasksToRemove.forEach(child => {
-            scene.remove(child);
-            child.geometry.dispose();
-            child.material.dispose();
+        const renderedTasks = benchmarkTasks || tasks;
+        // Top-level tasks are laid out on their board's plane; subtasks orbit their parent
+        const tasksByBoard = groupTasksByBoard(renderedTasks, boards);
+        const layout = new Map();
+        boards.forEach((board, index) => {
+            const origin = boardOrigin(index);
+            computeLayout(layoutStrategy, tasksByBoard.get(board.id)).forEach((position, id) => {
+                layout.set(id, { x: position.x + origin.x, y: position.y + origin.y, z: position.z + origin.z });
+            });
         });
+        reconciler.reconcile(flattenTasks(renderedTasks), layout, now);
+    }, [tasks, benchmarkTasks, boards, layoutStrategy, now]); // Only changed tasks are rebuilt
 
-        // Add new task meshes
-        tasks.forEach((task, index) => {
-            const material = new THREE.MeshStandardMaterial({
-                color: task.completed ? 0x00ff00 : 0x00ffff, // Green if completed, cyan otherwise
-                transparent: true,
-                opacity: 0.7,
-                emissive: task.completed ? 0x00ff00 : 0x00ffff,
-                emissiveIntensity: 0.3,
-            });
+    // Search: { matches, visible } id sets over every board, or null without a query
+    const searchQuery = useMemo(() => parseQuery(searchText), [searchText]);
+    const searchResult = useMemo(
+        () => (isEmptyQuery(searchQuery) ? null : matchTaskTree(tasks, searchQuery, { now, boards })),
+        [tasks, searchQuery, boards, now]
+    );
 
-            const textGeometry = new TextGeometry(task.text, {
-                font: font,
-                size: 0.8,
-                height: 0.2,
-                curveSegments: 12,
-                bevelEnabled: true,
-                bevelThickness: 0.03,
-                bevelSize: 0.02,
-                bevelOffset: 0,
-                bevelSegments: 5
-            });
-            textGeometry.center(); // Center the text geometry
+    // Matching holograms glow; the rest fade out, or disappear when hiding is on
+    useEffect(() => {
+        if (!reconcilerRef.current) return;
+        reconcilerRef.current.setHighlight(searchResult && !benchmarkTasks ? { ...searchResult, hideOthers: searchHidesOthers } : null);
+    }, [searchResult, searchHidesOthers, benchmarkTasks]);
 
-            const mesh = new THREE.Mesh(textGeometry, material);
-            mesh.position.set(
-                (index % 3 - 1) * 5, // X position (3 tasks per row)
-                Math.floor(index / 3) * -2 + 3, // Y position (rows go downwards)
-                (index % 2) * -1 // Z position for slight depth variation
-            );
-            mesh.castShadow = true;
-            mesh.userData.isTask = true; // Mark as a task object
-            mesh.userData.taskId = task.id; // Store task ID for interaction
-            scene.add(mesh);
+    // Redraw board planes and their task counts
+    useEffect(() => {
+        if (!boardPlanesRef.current) return;
+        boardPlanesRef.current.sync(summarizeBoards(tasks, boards), activeBoard.id);
+    }, [tasks, boards, activeBoard.id]);
+
+    // Fly the camera to the active board, or out to the overview
+    const activeBoardIndex = boards.indexOf(activeBoard);
+    useEffect(() => {
+        if (!cameraFlightRef.current) return;
+        if (skipBoardFlightRef.current) {
+            skipBoardFlightRef.current = false; // locateTask() is already flying to a hologram on this board
+            return;
+        }
+        cameraFlightRef.current.flyTo(isOverview ? overviewView(boards.length) : boardView(activeBoardIndex));
+    }, [isOverview, activeBoardIndex, boards.length]);
+
+    // Show where everyone else is looking
+    useEffect(() => {
+        if (presenceMarkersRef.current) presenceMarkersRef.current.sync(sync.peers);
+    }, [sync.peers]);
+
+    // Share this camera and the active board with other users whenever either changes
+    const { publishPresence } = sync;
+    useEffect(() => {
+        const controls = controlsRef.current;
+        const camera = cameraRef.current;
+        if (!controls || !camera) return;
+        const publish = () => publishPresence({ position: camera.position, target: controls.target, boardId: activeBoard.id });
+        publish();
+        controls.addEventListener('change', publish);
+        return () => controls.removeEventListener('change', publish);
+    }, [publishPresence, activeBoard.id]);
+
+    // Board management. Boards themselves are not part of the undo history; only task moves are.
+    const selectBoard = (boardId) => {
+        setActiveBoardId(boardId);
+        setIsOverview(false);
+    };
+
+    const submitBoardName = () => {
+        const name = boardNameDraft.name.trim();
+        if (name === '') return;
+        if (boardNameDraft.mode === 'new') {
+            const board = createBoard(name);
+            setBoards(prevBoards => [...prevBoards, board]);
+            selectBoard(board.id);
+        } else {
+            setBoards(prevBoards => prevBoards.map(board => board.id === activeBoard.id ? { ...board, name } : board));
+        }
+        setBoardNameDraft(null);
+    };
+
+    // Only empty boards can be deleted, and there is always at least one
+    const activeBoardTasks = groupTasksByBoard(tasks, boards).get(activeBoard.id);
+    const canDeleteBoard = boards.length > 1 && activeBoardTasks.length === 0;
+    const listedTasks = searchResult ? activeBoardTasks.filter(task => searchResult.visible.has(task.id)) : activeBoardTasks;
+    const otherBoardMatches = searchResult ? tasks.filter(task => searchResult.visible.has(task.id)).length - listedTasks.length : 0;
+
+    // Stats for the active board's tasks, the same ones the list shows before search narrows it
+    const taskStats = useMemo(
+        () => (showAnalytics ? computeTaskStats(groupTasksByBoard(tasks, boards).get(activeBoard.id), { now }) : null),
+        [showAnalytics, tasks, boards, activeBoard.id, now]
+    );
+
+    useEffect(() => {
+        const chart = analyticsChartRef.current;
+        if (!chart) return;
+        chart.setVisible(taskStats !== null);
+        if (taskStats) chart.sync(taskStats, boardOrigin(boards.indexOf(activeBoard)), THEMES[visualSettings.theme]);
+    }, [taskStats, boards, activeBoard, visualSettings.theme]);
+
+    // Opening the analytics frames the chart together with the board's holograms
+    const toggleAnalytics = () => {
+        if (!showAnalytics && !isOverview && cameraFlightRef.current) {
+            cameraFlightRef.current.flyTo(analyticsView(boards.indexOf(activeBoard)));
+        }
+        setShowAnalytics(shown => !shown);
+    };
+
+    const handleExportStats = () => {
+        downloadFile(`holographic-stats-${taskStats.daily[taskStats.daily.length - 1].date}.csv`, statsToCsv(taskStats), 'text/csv');
+    };
+    const deleteActiveBoard = () => {
+        if (!canDeleteBoard) return;
+        setBoards(prevBoards => prevBoards.filter(board => board.id !== activeBoard.id));
+        setActiveBoardId(boards.find(board => board.id !== activeBoard.id).id);
+    };
+
+    // Fly the camera (and the orbit target) to a task's hologram, switching to its board first if needed
+    const locateTask = (id) => {
+        const task = findTaskById(tasks, id);
+        const position = reconcilerRef.current && reconcilerRef.current.getPosition(id);
+        if (!task || !position || !cameraFlightRef.current) return;
+        const boardId = boardIdOf(task, boards);
+        if (boardId !== activeBoard.id || isOverview) {
+            skipBoardFlightRef.current = true;
+            selectBoard(boardId);
+        }
+        cameraFlightRef.current.flyTo(hologramView(position));
+    };
+
+    // Enter in the search bar jumps to the first match, preferring the active board
+    const locateFirstMatch = () => {
+        if (!searchResult) return;
+        const matches = flattenTasks(tasks).filter(({ task }) => searchResult.matches.has(task.id)).map(({ task }) => task);
+        const first = matches.find(task => boardIdOf(task, boards) === activeBoard.id) || matches[0];
+        if (first) locateTask(first.id);
+    };
+
+    // Saved filters are stored per display name as soon as they change
+    const updateSavedFilters = (filters) => {
+        setSavedFilters(filters);
+        saveSavedFilters(syncSettings.name, filters);
+    };
+    const saveCurrentFilter = () => {
+        const query = searchText.trim();
+        if (query === '' || savedFilters.includes(query)) return;
+        updateSavedFilters([...savedFilters, query]);
+    };
+
+    // Keyboard access to the scene. Focus moves between the listed holograms that are on screen; the offscreen
+    // tree and the live region tell screen readers which one is focused and what each key did.
+    const announce = (text) => {
+        setAnnouncement(prev => ({ id: prev.id + 1, text })); // A new id re-announces repeated messages
+    };
+
+    const focusedTask = focusedTaskId !== null ? findTaskById(listedTasks, focusedTaskId) : null;
+
+    useEffect(() => {
+        focusedTaskIdRef.current = focusedTask ? focusedTask.id : null;
+    }, [focusedTask]);
+
+    // Drop the focus when its task is deleted, filtered out or on another board
+    useEffect(() => {
+        if (focusedTaskId !== null && !focusedTask) setFocusedTaskId(null);
+    }, [focusedTaskId, focusedTask]);
+
+    const navigableHolograms = () => {
+        const reconciler = reconcilerRef.current;
+        if (!reconciler || !cameraRef.current) return [];
+        const holograms = flattenTasks(listedTasks).flatMap(({ task }) => {
+            const mesh = reconciler.getMesh(task.id);
+            return mesh && mesh.visible ? [{ id: task.id, position: mesh.position }] : [];
         });
-        console.log(`Rendered ${tasks.length} 3D tasks.`);
-    }, [tasks]); // Re-run when tasks array changes
+        return projectHolograms(holograms, cameraRef.current);
+    };
+
+    const focusHologram = (id, holograms) => {
+        setFocusedTaskId(id);
+        const order = readingOrder(holograms);
+        const index = order.findIndex(item => item.id === id);
+        announce(`${describeTask(findTaskById(listedTasks, id), now)}. ${index + 1} of ${order.length} in view.`);
+    };
+
+    const handleSceneKeyDown = (event) => {
+        const camera = cameraRef.current;
+        const controls = controlsRef.current;
+        if (!camera || !controls || event.ctrlKey || event.metaKey || event.altKey) return;
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const direction = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' }[key];
+        const pan = { w: { forward: PAN_STEP }, s: { forward: -PAN_STEP }, a: { right: -PAN_STEP }, d: { right: PAN_STEP } }[key];
+
+        if (direction && event.shiftKey) {
+            const turn = { left: { rotate: -CAMERA_STEP }, right: { rotate: CAMERA_STEP }, up: { tilt: -CAMERA_STEP }, down: { tilt: CAMERA_STEP } };
+            orbitCamera(camera, controls, turn[direction]);
+        } else if (direction) {
+            const holograms = navigableHolograms();
+            const nextId = nextInDirection(holograms, focusedTask ? focusedTask.id : null, direction);
+            if (nextId === null) announce('No holograms in view.');
+            else if (nextId === focusedTaskId) announce(`No hologram further ${direction}.`);
+            else focusHologram(nextId, holograms);
+        } else if (key === 'Home' || key === 'End') {
+            const holograms = navigableHolograms();
+            const order = readingOrder(holograms);
+            if (order.length === 0) announce('No holograms in view.');
+            else focusHologram(order[key === 'Home' ? 0 : order.length - 1].id, holograms);
+        } else if (key === ' ' && focusedTask) {
+            toggleTaskCompletion(focusedTask.id);
+            announce(`${focusedTask.completed ? 'Reopened' : 'Completed'} "${focusedTask.text}".`);
+        } else if ((key === 'Delete' || key === 'Backspace') && focusedTask) {
+            setPendingDeleteId(focusedTask.id);
+        } else if (key === 'Enter' && focusedTask) {
+            locateTask(focusedTask.id);
+            announce(`Camera moved to "${focusedTask.text}".`);
+        } else if (key === 'Escape' && focusedTask) {
+            setFocusedTaskId(null);
+            announce('No hologram focused.');
+        } else if (key === '+' || key === '=' || key === '-' || key === '_') {
+            orbitCamera(camera, controls, { zoom: key === '+' || key === '=' ? ZOOM_STEP : 1 / ZOOM_STEP });
+        } else if (pan) {
+            panCamera(camera, controls, pan);
+        } else if (key === 'r' && cameraFlightRef.current) {
+            cameraFlightRef.current.flyTo(isOverview ? overviewView(boards.length) : boardView(activeBoardIndex));
+            announce(`Camera reset to ${isOverview ? 'the overview' : activeBoard.name}.`);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    };
+
+    const pendingDeleteTask = pendingDeleteId !== null ? findTaskById(tasks, pendingDeleteId) : null;
+
+    const closeDeleteConfirmation = (confirmed) => {
+        if (confirmed && pendingDeleteTask) {
+            deleteTask(pendingDeleteTask.id);
+            announce(`Deleted "${pendingDeleteTask.text}". Press Ctrl+Z to undo.`);
+        }
+        setPendingDeleteId(null);
+    };
+
+    // The confirmation is modal: Tab cycles through its buttons, and focus moved anywhere else comes back.
+    // Closing it returns focus to the scene.
+    const isDeleteDialogOpen = pendingDeleteTask !== null;
+    useEffect(() => {
+        if (!isDeleteDialogOpen) return;
+        const handleFocusIn = (event) => {
+            const dialog = deleteDialogRef.current;
+            if (dialog && !dialog.contains(event.target)) dialog.querySelector('button').focus();
+        };
+        document.addEventListener('focusin', handleFocusIn);
+        return () => {
+            document.removeEventListener('focusin', handleFocusIn);
+            if (sceneTreeRef.current) sceneTreeRef.current.focus();
+        };
+    }, [isDeleteDialogOpen]);
+
+    const handleDeleteDialogKeyDown = (event) => {
+        if (event.key === 'Escape') {
+            closeDeleteConfirmation(false);
+            return;
+        }
+        if (event.key !== 'Tab') return;
+        const buttons = [...deleteDialogRef.current.querySelectorAll('button')];
+        const index = buttons.indexOf(document.activeElement);
+        const next = (index + (event.shiftKey ? -1 : 1) + buttons.length) % buttons.length;
+        buttons[next].focus();
+        event.preventDefault();
+    };
 
     // Function to add a new task
     const addTask = () => {
         if (newTaskText.trim() === '') return;
-        const newTask = {
-            id: uuidv4(),
-            text: newTaskText.trim(),
-            completed: false,
+        const newTask = createTask(newTaskText.trim(), {
+            boardId: activeBoard.id,
             priority: suggestedPriority !== null ? suggestedPriority : Math.floor(Math.random() * 3) // Use suggested priority or random
-        };
-        setTasks(prevTasks => [...prevTasks, newTask]);
+        });
+        taskHistory.execute(`Add "${newTask.text}"`, prevTasks => [...prevTasks, newTask]);
         setNewTaskText('');
         setSuggestedPriority(null); // Reset suggested priority after adding task
     };
 
-    // Function to suggest task priority using Gemini API
+    // Run a parsed command from the palette or voice input. Ambiguous commands arrive already narrowed to one match.
+    const runCommand = (command) => {
+        const [match] = command.matches || [];
+        switch (command.action) {
+            case 'add': {
+                const { text, priority, dueDate, tags } = command.task;
+                const newTask = createTask(text, { boardId: activeBoard.id, priority: priority ?? 1, dueDate, tags });
+                taskHistory.execute(`Add "${newTask.text}"`, prevTasks => [...prevTasks, newTask]);
+                break;
+            }
+            case 'complete':
+            case 'reopen':
+                if (match.completed !== (command.action === 'complete')) toggleTaskCompletion(match.id);
+                break;
+            case 'delete':
+                deleteTask(match.id);
+                break;
+            case 'setPriority':
+                updateTask(match.id, { priority: command.priority });
+                break;
+            case 'deleteCompleted':
+                showUndoToast(taskHistory.execute('Delete completed tasks', prevTasks => syncParentCompletion(removeCompletedTasks(prevTasks))));
+                break;
+            case 'filter':
+                setSearchText(filterToQuery(command.filter));
+                break;
+            case 'undo':
+                taskHistory.undo();
+                break;
+            case 'redo':
+                taskHistory.redo();
+                break;
+            default:
+                break;
+        }
+    };
+
+    // Function to suggest task priority using the configured copilot provider
     const handleSuggestPriority = async () => {
         if (newTaskText.trim() === '') {
             console.warn("Task text is empty. Cannot suggest priority.");
@@ -276,44 +897,129 @@ const App = () => {
 
         setIsSuggestingPriority(true);
         setSuggestedPriority(null); // Clear previous suggestion
+        setCopilotError(null);
 
         try {
-            const prompt = `Given the following task description, suggest its priority as either "Low", "Medium", or "High". Only return the word for the priority, nothing else. Task: "${newTaskText}"`;
-            const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-            const apiKey = ""; // Canvas will provide this
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API error: ${response.status} ${response.statusText} - ${errorData.error.message}`);
-            }
-
-            const result = await response.json();
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const llmResponseText = result.candidates[0].content.parts[0].text;
-                const numericPriority = mapPriorityTextToNumber(llmResponseText);
-                setSuggestedPriority(numericPriority);
-                console.log("Suggested priority:", llmResponseText, "(Numeric:", numericPriority, ")");
-            } else {
-                console.warn("Gemini API response structure unexpected:", result);
-                setSuggestedPriority(1); // Default to medium on unexpected response
-            }
+            const numericPriority = await copilot.suggestPriority(newTaskText);
+            setSuggestedPriority(numericPriority);
+            console.log("Suggested priority:", PRIORITY_WORDS[numericPriority]);
         } catch (error) {
             console.error("Error suggesting priority:", error);
-            setSuggestedPriority(1); // Default to medium on error
+            setCopilotError(error.message);
         } finally {
             setIsSuggestingPriority(false);
         }
     };
 
+    // Ask the copilot to re-prioritize every open task in one batch, then show the changes for approval
+    const handleReprioritizeAll = async () => {
+        const openTasks = tasks.filter(task => !task.completed);
+        if (openTasks.length === 0) return;
+
+        setIsReprioritizing(true);
+        setCopilotError(null);
+        setPriorityProposals(null);
+
+        try {
+            const priorities = await copilot.suggestPriorities(openTasks.map(task => task.text));
+            const proposals = openTasks
+                .map((task, index) => ({ id: task.id, text: task.text, from: task.priority, to: priorities[index], approved: true }))
+                .filter(proposal => [0, 1, 2].includes(proposal.to) && proposal.from !== proposal.to); // Skip tasks without a usable answer
+            setPriorityProposals(proposals);
+        } catch (error) {
+            console.error("Error re-prioritizing tasks:", error);
+            setCopilotError(error.message);
+        } finally {
+            setIsReprioritizing(false);
+        }
+    };
+
+    const toggleProposalApproval = (id) => {
+        setPriorityProposals(prevProposals =>
+            prevProposals.map(proposal => proposal.id === id ? { ...proposal, approved: !proposal.approved } : proposal)
+        );
+    };
+
+    // Apply the approved priority changes
+    const applyPriorityProposals = () => {
+        const approved = new Map(priorityProposals.filter(proposal => proposal.approved).map(proposal => [proposal.id, proposal.to]));
+        const entry = taskHistory.execute(`Re-prioritize ${approved.size} task${approved.size === 1 ? '' : 's'}`, prevTasks =>
+            prevTasks.map(task => approved.has(task.id) ? { ...task, priority: approved.get(task.id) } : task)
+        );
+        showUndoToast(entry);
+        setPriorityProposals(null);
+    };
+
+    // Download the current board in the selected format
+    const handleExport = () => {
+        const format = EXPORT_FORMATS.find(candidate => candidate.id === exportFormat);
+        downloadFile(`holographic-tasks.${format.extension}`, exportTasks(tasks, format.id), format.mime);
+    };
+
+    // Parse a chosen file and show the import preview
+    const handleImportFile = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+
+        setImportError(null);
+        try {
+            const content = await file.text();
+            const imported = importTasks(content, detectFormat(file.name, content));
+            setImportPreview({ fileName: file.name, entries: buildImportPreview(imported, tasks) });
+        } catch (error) {
+            console.error("Error importing tasks:", error);
+            setImportError(`Could not import ${file.name}: ${error.message}`);
+        }
+    };
+
+    // Download the task holograms as GLB (binary) or glTF (JSON), with task metadata in `extras`
+    const handleExportScene = async (binary) => {
+        if (!sceneRef.current) return;
+        setSceneExportError(null);
+        try {
+            const content = await exportSceneAsGltf(sceneRef.current, tasks, { binary });
+            downloadFile(
+                `holographic-tasks.${binary ? 'glb' : 'gltf'}`,
+                content,
+                binary ? 'model/gltf-binary' : 'model/gltf+json'
+            );
+        } catch (error) {
+            console.error("Error exporting scene:", error);
+            setSceneExportError(`3D export failed: ${error.message}`);
+        }
+    };
+
+    // Download a PNG of the current camera view at the selected size
+    const handleSnapshot = async () => {
+        if (!rendererRef.current || !sceneRef.current || !cameraRef.current) return;
+        setSceneExportError(null);
+        try {
+            const size = SNAPSHOT_SIZES.find(candidate => candidate.id === snapshotSize);
+            const blob = await captureSnapshot(rendererRef.current, sceneRef.current, cameraRef.current, size, bloomRef.current);
+            downloadFile(`holographic-tasks-${size.width}x${size.height}.png`, blob, 'image/png');
+        } catch (error) {
+            console.error("Error capturing snapshot:", error);
+            setSceneExportError(`Snapshot failed: ${error.message}`);
+        }
+    };
+
+    const toggleImportEntry = (index) => {
+        setImportPreview(prevPreview => ({
+            ...prevPreview,
+            entries: prevPreview.entries.map((entry, i) => i === index ? { ...entry, selected: !entry.selected } : entry),
+        }));
+    };
+
+    // Merge the selected imports after the existing tasks
+    const confirmImport = () => {
+        // Imports land on the active board
+        const entries = importPreview.entries.map(entry => ({ ...entry, task: moveTaskToBoard([entry.task], entry.task.id, activeBoard.id, entry.task.position)[0] }));
+        const entry = taskHistory.execute(`Import ${importPreview.fileName} into ${activeBoard.name}`, prevTasks => mergeImportedTasks(prevTasks, entries));
+        showUndoToast(entry);
+        setImportPreview(null);
+    };
+
 
     return (
         <div className="flex flex-col h-screen bg-gray-900 text-white font-inter">
@@ -341,21 +1047,507 @@ const App = () => {
             <header className="p-4 bg-gray-800 shadow-lg flex justify-between items-center rounded-b-lg">
                 <h1 className="text-3xl font-bold text-cyan-400">Holographic Task Manager</h1>
                 <div className="flex items-center space-x-4">
-                    <span className="text-sm text-gray-400">Drag to rotate, scroll to zoom, click 3D tasks to toggle completion</span>
+                    <span className="text-sm text-gray-400">Drag to rotate, scroll to zoom, click 3D tasks to toggle completion, drag them to move (onto another board too), right-click for more, Tab into the scene for keyboard control</span>
+                    <label className="text-sm text-gray-300 flex items-center space-x-2">
+                        <span>Layout</span>
+                        <select
+                            value={layoutStrategy}
+                            onChange={(e) => setLayoutStrategy(e.target.value)}
+                            className="p-2 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                        >
+                            {LAYOUT_STRATEGIES.map(strategy => (
+                                <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <div className="flex items-center space-x-1">
+                        <button
+                            onClick={() => setCommandPalette({ listen: false })}
+                            className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600"
+                            title="Type a command (Ctrl+K)"
+                        >
+                            Commands
+                        </button>
+                        {isSpeechRecognitionSupported() && (
+                            <button
+                                onClick={() => setCommandPalette({ listen: true })}
+                                className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600"
+                                title="Speak a command"
+                                aria-label="Speak a command"
+                            >
+                                🎤
+                            </button>
+                        )}
+                    </div>
+                    <div className="flex items-center space-x-1">
+                        <button
+                            onClick={taskHistory.undo}
+                            disabled={!taskHistory.canUndo}
+                            className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                            title="Undo (Ctrl+Z)"
+                        >
+                            Undo
+                        </button>
+                        <button
+                            onClick={taskHistory.redo}
+                            disabled={!taskHistory.canRedo}
+                            className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                            title="Redo (Ctrl+Shift+Z)"
+                        >
+                            Redo
+                        </button>
+                        <button
+                            onClick={() => setShowHistory(shown => !shown)}
+                            className={`px-3 py-2 rounded-lg ${showHistory ? 'bg-cyan-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            History
+                        </button>
+                    </div>
+                    <button
+                        onClick={toggleAnalytics}
+                        className={`px-3 py-2 rounded-lg ${showAnalytics ? 'bg-cyan-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        aria-pressed={showAnalytics}
+                    >
+                        Analytics
+                    </button>
+                    <button
+                        onClick={() => setShowDisplaySettings(shown => !shown)}
+                        className={`px-3 py-2 rounded-lg ${showDisplaySettings ? 'bg-cyan-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    >
+                        Display
+                    </button>
                 </div>
             </header>
 
+            {commandPalette && (
+                <CommandPalette
+                    tasks={tasks}
+                    now={now}
+                    startListening={commandPalette.listen}
+                    onRun={runCommand}
+                    onClose={() => setCommandPalette(null)}
+                />
+            )}
+
             {/* Main content area */}
             <div className="flex flex-grow overflow-hidden">
                 {/* 3D Canvas */}
-                <div ref={mountRef} className="flex-grow bg-gradient-to-br from-gray-900 to-blue-900 relative rounded-lg m-4 shadow-inner">
+                <div
+                    ref={mountRef}
+                    className={`flex-grow bg-gradient-to-br from-gray-900 to-blue-900 relative rounded-lg m-4 shadow-inner ${isSceneFocused ? 'ring-2 ring-cyan-400' : ''}`}
+                >
                     {/* This div will contain the Three.js canvas */}
+                    {/* Keyboard and screen-reader access to the holograms */}
+                    <SceneAccessibleTree
+                        tasks={listedTasks}
+                        focusedId={focusedTask ? focusedTask.id : null}
+                        now={now}
+                        label={`3D task scene, ${activeBoard.name} board`}
+                        describedBy="scene-keyboard-help"
+                        treeRef={sceneTreeRef}
+                        onKeyDown={handleSceneKeyDown}
+                        onFocus={() => setIsSceneFocused(true)}
+                        onBlur={() => setIsSceneFocused(false)}
+                    />
+                    <p id="scene-keyboard-help" className="sr-only">
+                        Arrow keys move between holograms, Home and End jump to the first and last. Space toggles completion,
+                        Delete removes, Enter flies the camera to the focused hologram and Escape clears the focus.
+                        Shift with arrow keys rotates the camera, plus and minus zoom, W A S D pan and R resets the view.
+                    </p>
+                    <div aria-live="polite" className="sr-only">
+                        <p key={announcement.id}>{announcement.text}</p>
+                    </div>
+                    {pendingDeleteTask && (
+                        <div
+                            className="absolute inset-0 z-10 flex items-center justify-center bg-black/50"
+                            onKeyDown={handleDeleteDialogKeyDown}
+                        >
+                            <div
+                                ref={deleteDialogRef}
+                                role="alertdialog"
+                                aria-modal="true"
+                                aria-labelledby="delete-hologram-title"
+                                className="max-w-sm p-4 bg-gray-800 border border-red-700 rounded-lg shadow-xl text-sm space-y-3"
+                            >
+                                <p id="delete-hologram-title" className="text-white">
+                                    Delete "{pendingDeleteTask.text}"
+                                    {pendingDeleteTask.subtasks.length > 0 && ` and its ${flattenTasks(pendingDeleteTask.subtasks).length} subtasks`}?
+                                </p>
+                                <div className="flex justify-end space-x-2">
+                                    <button autoFocus onClick={() => closeDeleteConfirmation(false)} className="px-3 py-1 bg-gray-600 rounded hover:bg-gray-500">Cancel</button>
+                                    <button onClick={() => closeDeleteConfirmation(true)} className="px-3 py-1 bg-red-600 rounded hover:bg-red-700">Delete</button>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+                    {/* Hologram tooltip */}
+                    {hoverInfo && findTaskById(tasks, hoverInfo.taskId) && (() => {
+                        const hoveredTask = findTaskById(tasks, hoverInfo.taskId);
+                        return (
+                            <div
+                                className="absolute pointer-events-none max-w-xs px-3 py-2 bg-gray-800/95 border border-cyan-700 rounded-lg shadow-lg text-sm"
+                                style={{ left: hoverInfo.x + 16, top: hoverInfo.y + 16 }}
+                            >
+                                <p className="text-white break-words">{hoveredTask.text}</p>
+                                <p className="text-gray-400 mt-1">
+                                    {PRIORITY_ZONES[hoveredTask.priority].label.toLowerCase()} priority
+                                    {hoveredTask.completed ? ' · completed' : ''}
+                                </p>
+                            </div>
+                        );
+                    })()}
+
+                    {/* Hologram context menu */}
+                    {contextMenu && findTaskById(tasks, contextMenu.taskId) && (
+                        <>
+                            <div
+                                className="absolute inset-0"
+                                onClick={() => setContextMenu(null)}
+                                onContextMenu={(e) => { e.preventDefault(); setContextMenu(null); }}
+                            />
+                            <div
+                                className="absolute w-56 py-1 bg-gray-800 border border-gray-600 rounded-lg shadow-xl text-sm"
+                                style={{ left: contextMenu.x, top: contextMenu.y }}
+                            >
+                                {contextMenu.editText !== null ? (
+                                    <div className="p-2 flex space-x-1">
+                                        <input
+                                            type="text"
+                                            autoFocus
+                                            value={contextMenu.editText}
+                                            onChange={(e) => setContextMenu(menu => ({ ...menu, editText: e.target.value }))}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter' && contextMenu.editText.trim() !== '') {
+                                                    updateTask(contextMenu.taskId, { text: contextMenu.editText.trim() });
+                                                    setContextMenu(null);
+                                                } else if (e.key === 'Escape') {
+                                                    setContextMenu(null);
+                                                }
+                                            }}
+                                            className="flex-grow p-1 rounded bg-gray-700 border border-gray-600 text-white"
+                                        />
+                                    </div>
+                                ) : (
+                                    <>
+                                        <button
+                                            onClick={() => setContextMenu(menu => ({ ...menu, editText: findTaskById(tasks, menu.taskId).text }))}
+                                            className="block w-full text-left px-4 py-2 hover:bg-gray-700"
+                                        >
+                                            Edit
+                                        </button>
+                                        <button
+                                            onClick={() => { duplicateTask(contextMenu.taskId); setContextMenu(null); }}
+                                            className="block w-full text-left px-4 py-2 hover:bg-gray-700"
+                                        >
+                                            Duplicate
+                                        </button>
+                                        {findTaskById(tasks, contextMenu.taskId).position && (
+                                            <button
+                                                onClick={() => { updateTask(contextMenu.taskId, { position: null }); setContextMenu(null); }}
+                                                className="block w-full text-left px-4 py-2 hover:bg-gray-700"
+                                            >
+                                                Reset position
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => { deleteTask(contextMenu.taskId); setContextMenu(null); }}
+                                            className="block w-full text-left px-4 py-2 text-red-400 hover:bg-gray-700"
+                                        >
+                                            Delete
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        </>
+                    )}
+
+                    {/* Scene export toolbar */}
+                    <div className="absolute top-4 right-4 p-2 bg-gray-800/90 rounded-lg shadow-lg text-sm flex items-center space-x-2">
+                        <button onClick={() => handleExportScene(true)} className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600">Export GLB</button>
+                        <button onClick={() => handleExportScene(false)} className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600">Export glTF</button>
+                        <select
+                            value={snapshotSize}
+                            onChange={(e) => setSnapshotSize(e.target.value)}
+                            className="p-1 rounded bg-gray-700 border border-gray-600 text-white"
+                        >
+                            {SNAPSHOT_SIZES.map(size => (
+                                <option key={size.id} value={size.id}>{size.label}</option>
+                            ))}
+                        </select>
+                        <button onClick={handleSnapshot} className="px-3 py-1 bg-cyan-600 rounded hover:bg-cyan-700">PNG</button>
+                    </div>
+                    {/* Scene export errors, above the display settings when those are open */}
+                    {(sceneExportError || showDisplaySettings) && (
+                        <div className="absolute top-16 right-4 space-y-2">
+                            {sceneExportError && (
+                                <div className="px-3 py-2 bg-red-900/80 border border-red-700 rounded-lg text-sm text-red-200">
+                                    {sceneExportError}
+                                    <button onClick={() => setSceneExportError(null)} className="ml-2 text-red-400 hover:text-red-200">Dismiss</button>
+                                </div>
+                            )}
+                            {/* Display settings: theme, effects, reduced motion and debug helpers */}
+                            {showDisplaySettings && (
+                                <div className="w-72 p-3 bg-gray-800/95 rounded-lg shadow-lg text-sm space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-cyan-300 font-semibold">Display</span>
+                                        <button onClick={() => setShowDisplaySettings(false)} className="text-gray-400 hover:text-white" title="Close display settings" aria-label="Close display settings">✕</button>
+                                    </div>
+                                    <label className="flex items-center justify-between">
+                                        <span>Theme</span>
+                                        <select
+                                            value={visualSettings.theme}
+                                            onChange={(e) => updateVisualSetting('theme', e.target.value)}
+                                            className="p-1 rounded bg-gray-700 border border-gray-600 text-white"
+                                        >
+                                            {Object.entries(THEMES).map(([id, theme]) => (
+                                                <option key={id} value={id}>{theme.label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="flex items-center justify-between">
+                                        <span>Effect intensity</span>
+                                        <input
+                                            type="range"
+                                            min="0"
+                                            max="2"
+                                            step="0.1"
+                                            value={visualSettings.intensity}
+                                            onChange={(e) => updateVisualSetting('intensity', Number(e.target.value))}
+                                            className="w-32"
+                                        />
+                                    </label>
+                                    <label className="flex items-center justify-between">
+                                        <span>Bloom</span>
+                                        <input
+                                            type="checkbox"
+                                            checked={visualSettings.bloom}
+                                            disabled={visualSettings.reducedMotion}
+                                            onChange={(e) => updateVisualSetting('bloom', e.target.checked)}
+                                            className="form-checkbox h-4 w-4 text-cyan-500 rounded border-gray-500 cursor-pointer"
+                                        />
+                                    </label>
+                                    <label className="flex items-center justify-between">
+                                        <span>Reduced motion / low power</span>
+                                        <input
+                                            type="checkbox"
+                                            checked={visualSettings.reducedMotion}
+                                            onChange={(e) => updateVisualSetting('reducedMotion', e.target.checked)}
+                                            className="form-checkbox h-4 w-4 text-cyan-500 rounded border-gray-500 cursor-pointer"
+                                        />
+                                    </label>
+                                    <label className="flex items-center justify-between">
+                                        <span>Debug helpers (axes, grids)</span>
+                                        <input
+                                            type="checkbox"
+                                            checked={visualSettings.showDebugHelpers}
+                                            onChange={(e) => updateVisualSetting('showDebugHelpers', e.target.checked)}
+                                            className="form-checkbox h-4 w-4 text-cyan-500 rounded border-gray-500 cursor-pointer"
+                                        />
+                                    </label>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {/* Keyboard hint while the scene has focus, above the analytics panel when that is open */}
+                    {(isSceneFocused || taskStats) && (
+                        <div className="absolute top-16 left-4 space-y-2">
+                            {isSceneFocused && (
+                                <div className="px-3 py-2 bg-gray-800/90 rounded-lg text-xs text-gray-300 pointer-events-none">
+                                    ←↑→↓ focus · Space toggle · Del delete · Enter fly to · Shift+arrows orbit · +/- zoom · WASD pan · R reset
+                                </div>
+                            )}
+                            {/* Productivity stats for the active board; the same numbers are drawn as bars on its plane */}
+                            {taskStats && (
+                                <div className="w-72 p-3 bg-gray-800/95 rounded-lg shadow-lg text-sm space-y-2">
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-cyan-300 font-semibold">Analytics · {activeBoard.name}</span>
+                                        <button onClick={() => setShowAnalytics(false)} className="text-gray-400 hover:text-white" title="Close analytics" aria-label="Close analytics">✕</button>
+                                    </div>
+                                    <p>
+                                        Last {ANALYTICS_DAYS} days: {taskStats.daily.reduce((sum, day) => sum + day.created, 0)} created,
+                                        {' '}{taskStats.daily.reduce((sum, day) => sum + day.completed, 0)} completed
+                                    </p>
+                                    <p>
+                                        Avg. time to complete:{' '}
+                                        {taskStats.averageCompletionMs === null ? 'n/a' : formatDuration(taskStats.averageCompletionMs)}
+                                        {taskStats.timedCount > 0 && <span className="text-gray-400"> ({taskStats.timedCount} tasks)</span>}
+                                    </p>
+                                    <table className="w-full text-left">
+                                        <thead className="text-gray-400">
+                                            <tr><th className="font-normal">Priority</th><th className="font-normal">Done</th><th className="font-normal">Total</th></tr>
+                                        </thead>
+                                        <tbody>
+                                            {taskStats.byPriority.map(row => (
+                                                <tr key={row.priority}>
+                                                    <td>{PRIORITY_ZONES[row.priority].label.toLowerCase()}</td>
+                                                    <td>{row.completed}</td>
+                                                    <td>{row.total}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                    <button onClick={handleExportStats} className="w-full px-3 py-1 bg-cyan-600 rounded hover:bg-cyan-700">Export CSV</button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {fontStatus === 'unavailable' && (
+                        <div className="absolute top-4 left-4 px-3 py-2 bg-red-900/80 border border-red-700 rounded-lg text-sm text-red-200">
+                            3D font unavailable: holograms are shown as flat text.
+                        </div>
+                    )}
+                    {fontStatus === 'loading' && (
+                        <div className="absolute top-4 left-4 px-3 py-2 bg-gray-800/80 rounded-lg text-sm text-gray-300">
+                            Loading fonts...
+                        </div>
+                    )}
+                    {benchmarkSize !== null && (
+                        <div className="absolute bottom-4 left-4 p-3 bg-gray-800/90 rounded-lg shadow-lg text-sm space-y-2">
+                            <div className="flex items-center space-x-2">
+                                <span className="text-cyan-300 font-semibold">Benchmark</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={benchmarkSize}
+                                    onChange={(e) => setBenchmarkSize(parseInt(e.target.value, 10) || 1)}
+                                    className="w-24 p-1 rounded bg-gray-700 border border-gray-600 text-white"
+                                />
+                                <button onClick={runBenchmark} className="px-3 py-1 bg-cyan-600 rounded hover:bg-cyan-700">Run</button>
+                                {benchmarkTasks && (
+                                    <button onClick={stopBenchmark} className="px-3 py-1 bg-gray-600 rounded hover:bg-gray-500">Exit</button>
+                                )}
+                            </div>
+                            {benchmarkTasks && !benchmarkResult && <p className="text-gray-400">Measuring...</p>}
+                            {benchmarkResult && (
+                                <p className="text-gray-300">
+                                    {benchmarkResult.taskCount} tasks built in {benchmarkResult.buildMs.toFixed(0)} ms ·
+                                    avg frame {benchmarkResult.averageMs.toFixed(1)} ms ({benchmarkResult.fps.toFixed(0)} fps) ·
+                                    p95 {benchmarkResult.p95Ms.toFixed(1)} ms · max {benchmarkResult.maxMs.toFixed(1)} ms
+                                </p>
+                            )}
+                        </div>
+                    )}
+                    {/* Undo toast after destructive actions */}
+                    {undoToast && (
+                        <div className="absolute bottom-4 left-1/2 -translate-x-1/2 px-4 py-2 bg-gray-800/95 border border-cyan-700 rounded-lg shadow-lg text-sm flex items-center space-x-3">
+                            <span className="text-gray-200">{undoToast.label}</span>
+                            <button
+                                onClick={() => {
+                                    // Only while that action is still the latest one, so the toast never undoes something else
+                                    const latest = taskHistory.entries[taskHistory.position - 1];
+                                    if (latest && latest.id === undoToast.entryId) taskHistory.undo();
+                                    setUndoToast(null);
+                                }}
+                                className="px-3 py-1 bg-cyan-600 rounded hover:bg-cyan-700"
+                            >
+                                Undo
+                            </button>
+                            <button onClick={() => setUndoToast(null)} className="text-gray-400 hover:text-white" title="Dismiss" aria-label="Dismiss">✕</button>
+                        </div>
+                    )}
+                    {/* History panel: applied entries, newest first, then the ones that can be redone */}
+                    {showHistory && (
+                        <div className="absolute bottom-4 right-4 w-72 max-h-80 overflow-y-auto custom-scrollbar p-3 bg-gray-800/95 rounded-lg shadow-lg text-sm">
+                            <div className="flex items-center justify-between mb-2">
+                                <span className="text-cyan-300 font-semibold">History</span>
+                                <button onClick={() => setShowHistory(false)} className="text-gray-400 hover:text-white" title="Close history" aria-label="Close history">✕</button>
+                            </div>
+                            {taskHistory.entries.length === 0 ? (
+                                <p className="text-gray-400">No changes yet.</p>
+                            ) : (
+                                <ol className="space-y-1">
+                                    {taskHistory.entries.map((entry, index) => ({ entry, index })).reverse().map(({ entry, index }) => (
+                                        <li
+                                            key={entry.id}
+                                            className={`flex justify-between px-2 py-1 rounded
+                                                ${index === taskHistory.position - 1 ? 'bg-cyan-900/60 text-white' : index >= taskHistory.position ? 'text-gray-500 line-through' : 'text-gray-300'}`}
+                                        >
+                                            <span className="truncate mr-2">{entry.label}</span>
+                                            <span className="shrink-0 text-gray-400">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </div>
+                    )}
                 </div>
 
                 {/* Task Management UI */}
                 <div className="w-1/3 p-6 bg-gray-800 m-4 rounded-lg shadow-xl flex flex-col">
                     <h2 className="text-2xl font-semibold mb-4 text-cyan-300">My Tasks</h2>
 
+                    {/* Boards */}
+                    <div className="mb-4 space-y-2 text-sm">
+                        <div className="flex items-center space-x-2">
+                            <select
+                                value={activeBoard.id}
+                                onChange={(e) => selectBoard(e.target.value)}
+                                className="flex-grow p-2 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                                aria-label="Board"
+                            >
+                                {boards.map(board => (
+                                    <option key={board.id} value={board.id}>{board.name}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => setIsOverview(overview => !overview)}
+                                className={`px-3 py-2 rounded-lg ${isOverview ? 'bg-cyan-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                                title="Show every board at once"
+                            >
+                                Overview
+                            </button>
+                        </div>
+                        {boardNameDraft ? (
+                            <div className="flex space-x-2">
+                                <input
+                                    type="text"
+                                    autoFocus
+                                    value={boardNameDraft.name}
+                                    placeholder="Board name"
+                                    onChange={(e) => setBoardNameDraft(draft => ({ ...draft, name: e.target.value }))}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') submitBoardName();
+                                        else if (e.key === 'Escape') setBoardNameDraft(null);
+                                    }}
+                                    className="flex-grow p-1 rounded bg-gray-700 border border-gray-600 text-white"
+                                    aria-label="Board name"
+                                />
+                                <button onClick={submitBoardName} className="px-3 py-1 bg-cyan-600 rounded hover:bg-cyan-700">
+                                    {boardNameDraft.mode === 'new' ? 'Create' : 'Rename'}
+                                </button>
+                                <button onClick={() => setBoardNameDraft(null)} className="px-3 py-1 bg-gray-600 rounded hover:bg-gray-500">Cancel</button>
+                            </div>
+                        ) : (
+                            <div className="flex space-x-2">
+                                <button onClick={() => setBoardNameDraft({ mode: 'new', name: '' })} className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600">New board</button>
+                                <button onClick={() => setBoardNameDraft({ mode: 'rename', name: activeBoard.name })} className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600">Rename</button>
+                                <button
+                                    onClick={deleteActiveBoard}
+                                    disabled={!canDeleteBoard}
+                                    className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 text-red-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                                    title={canDeleteBoard ? 'Delete this board' : 'Only an empty board can be deleted, and one board always remains'}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        )}
+                        {isOverview && (
+                            <ul className="p-2 bg-gray-900/60 rounded-lg space-y-1">
+                                {summarizeBoards(tasks, boards).map(({ board, open, completed }) => (
+                                    <li key={board.id}>
+                                        <button
+                                            onClick={() => selectBoard(board.id)}
+                                            className={`w-full flex justify-between px-2 py-1 rounded hover:bg-gray-700 ${board.id === activeBoard.id ? 'text-cyan-300' : 'text-gray-200'}`}
+                                        >
+                                            <span className="truncate mr-2">{board.name}</span>
+                                            <span className="shrink-0 text-gray-400">{open} open · {completed} done</span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
                     {/* Add New Task */}
                     <div className="mb-6 flex space-x-2">
                         <input
@@ -365,6 +1557,7 @@ const App = () => {
                             value={newTaskText}
                             onChange={(e) => setNewTaskText(e.target.value)}
                             onKeyPress={(e) => e.key === 'Enter' && addTask()}
+                            aria-label="New task"
                         />
                         <button
                             onClick={addTask}
@@ -390,47 +1583,359 @@ const App = () => {
                             </span> (Click Add Task to use this)
                         </p>
                     )}
+                    {copilotError && (
+                        <div className="text-sm text-red-300 bg-red-900/40 border border-red-700 rounded-lg p-3 mb-4 flex justify-between items-center">
+                            <span>Copilot: {copilotError}</span>
+                            <button onClick={() => setCopilotError(null)} className="ml-2 text-red-400 hover:text-red-200">Dismiss</button>
+                        </div>
+                    )}
 
-
-                    {/* Task List */}
-                    <div className="flex-grow overflow-y-auto pr-2 custom-scrollbar">
-                        {tasks.length === 0 ? (
-                            <p className="text-gray-400 text-center mt-8">No tasks yet! Add some above.</p>
-                        ) : (
-                            <ul className="space-y-3">
-                                {tasks.map((task) => (
-                                    <li
-                                        key={task.id}
-                                        className={`flex items-center justify-between p-4 rounded-lg shadow-md transition-all duration-200
-                                            ${task.completed ? 'bg-green-800/50 border border-green-700' : 'bg-gray-700 border border-gray-600'}`}
-                                    >
-                                        <div className="flex items-center">
+                    {/* Copilot actions and settings */}
+                    <div className="mb-4 flex space-x-2">
+                        <button
+                            onClick={handleReprioritizeAll}
+                            disabled={isReprioritizing || !tasks.some(task => !task.completed)}
+                            className={`flex-grow px-4 py-2 rounded-lg shadow-md text-sm transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500
+                                ${isReprioritizing ? 'bg-gray-500 cursor-not-allowed' : 'bg-purple-700 hover:bg-purple-800'}`}
+                        >
+                            {isReprioritizing ? 'Re-prioritizing...' : 'Re-prioritize open tasks ✨'}
+                        </button>
+                        <button
+                            onClick={() => setShowCopilotSettings(show => !show)}
+                            className="px-4 py-2 rounded-lg shadow-md text-sm bg-gray-700 hover:bg-gray-600 transition-colors duration-200"
+                        >
+                            Copilot settings
+                        </button>
+                    </div>
+                    {showCopilotSettings && (
+                        <div className="mb-4 p-3 bg-gray-700 rounded-lg space-y-2 text-sm">
+                            <label className="flex items-center justify-between">
+                                <span>Provider</span>
+                                <select
+                                    value={copilotSettings.provider}
+                                    onChange={(e) => updateCopilotSetting('provider', e.target.value)}
+                                    className="p-1 rounded bg-gray-800 border border-gray-600"
+                                >
+                                    {COPILOT_PROVIDERS.map(provider => (
+                                        <option key={provider.id} value={provider.id}>{provider.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {copilotSettings.provider !== 'local' && (
+                                <>
+                                    <label className="flex items-center justify-between">
+                                        <span>API key</span>
+                                        <input
+                                            type="password"
+                                            value={copilotSettings.apiKey}
+                                            onChange={(e) => updateCopilotSetting('apiKey', e.target.value)}
+                                            className="w-2/3 p-1 rounded bg-gray-800 border border-gray-600"
+                                        />
+                                    </label>
+                                    {copilotSettings.provider === 'openai' && (
+                                        <label className="flex items-center justify-between">
+                                            <span>Base URL</span>
                                             <input
-                                                type="checkbox"
-                                                checked={task.completed}
-                                                onChange={() => toggleTaskCompletion(task.id)}
-                                                className="form-checkbox h-5 w-5 text-cyan-500 rounded border-gray-500 focus:ring-cyan-500 cursor-pointer"
+                                                type="text"
+                                                value={copilotSettings.baseUrl}
+                                                onChange={(e) => updateCopilotSetting('baseUrl', e.target.value)}
+                                                className="w-2/3 p-1 rounded bg-gray-800 border border-gray-600"
                                             />
-                                            <span
-                                                className={`ml-3 text-lg ${task.completed ? 'line-through text-gray-400' : 'text-white'}`}
-                                            >
-                                                {task.text}
-                                            </span>
-                                            <span className={`ml-3 text-xs px-2 py-1 rounded-full
-                                                ${task.priority === 0 ? 'bg-blue-600' : task.priority === 1 ? 'bg-yellow-600' : 'bg-red-600'}`}>
-                                                {task.priority === 0 ? 'Low' : task.priority === 1 ? 'Medium' : 'High'}
+                                        </label>
+                                    )}
+                                    <label className="flex items-center justify-between">
+                                        <span>Model</span>
+                                        <input
+                                            type="text"
+                                            value={copilotSettings.model}
+                                            placeholder="Provider default"
+                                            onChange={(e) => updateCopilotSetting('model', e.target.value)}
+                                            className="w-2/3 p-1 rounded bg-gray-800 border border-gray-600"
+                                        />
+                                    </label>
+                                    <label className="flex items-center justify-between">
+                                        <span>Timeout (s)</span>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={copilotSettings.timeoutMs / 1000}
+                                            onChange={(e) => updateCopilotSetting('timeoutMs', Math.max(1, Number(e.target.value) || 1) * 1000)}
+                                            className="w-20 p-1 rounded bg-gray-800 border border-gray-600"
+                                        />
+                                    </label>
+                                    <label className="flex items-center justify-between">
+                                        <span>Retries</span>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max="5"
+                                            value={copilotSettings.retries}
+                                            onChange={(e) => updateCopilotSetting('retries', Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                                            className="w-20 p-1 rounded bg-gray-800 border border-gray-600"
+                                        />
+                                    </label>
+                                </>
+                            )}
+                        </div>
+                    )}
+                    {priorityProposals && (
+                        <div className="mb-4 p-3 bg-gray-700 rounded-lg text-sm">
+                            {priorityProposals.length === 0 ? (
+                                <div className="flex justify-between items-center">
+                                    <span className="text-gray-300">The copilot agrees with every current priority.</span>
+                                    <button onClick={() => setPriorityProposals(null)} className="ml-2 text-gray-400 hover:text-white">Close</button>
+                                </div>
+                            ) : (
+                                <>
+                                    <p className="text-purple-300 font-semibold mb-2">Proposed priority changes</p>
+                                    <ul className="space-y-1 mb-3 max-h-40 overflow-y-auto custom-scrollbar">
+                                        {priorityProposals.map(proposal => (
+                                            <li key={proposal.id} className="flex items-center">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={proposal.approved}
+                                                    onChange={() => toggleProposalApproval(proposal.id)}
+                                                    className="form-checkbox h-4 w-4 text-purple-500 rounded border-gray-500 cursor-pointer"
+                                                />
+                                                <span className="ml-2 flex-grow truncate">{proposal.text}</span>
+                                                <span className="ml-2 text-gray-400">{PRIORITY_WORDS[proposal.from]} → </span>
+                                                <span className="ml-1 font-bold">{PRIORITY_WORDS[proposal.to]}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <div className="flex space-x-2">
+                                        <button onClick={applyPriorityProposals} className="px-3 py-1 bg-purple-600 rounded hover:bg-purple-700">Apply selected</button>
+                                        <button onClick={() => setPriorityProposals(null)} className="px-3 py-1 bg-gray-600 rounded hover:bg-gray-500">Reject all</button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+                    {/* Import / Export */}
+                    <div className="mb-4 flex space-x-2 text-sm">
+                        <select
+                            value={exportFormat}
+                            onChange={(e) => setExportFormat(e.target.value)}
+                            className="p-2 rounded-lg bg-gray-700 border border-gray-600 text-white"
+                        >
+                            {EXPORT_FORMATS.map(format => (
+                                <option key={format.id} value={format.id}>{format.label}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={handleExport}
+                            disabled={tasks.length === 0}
+                            className="px-4 py-2 rounded-lg shadow-md bg-gray-700 hover:bg-gray-600 transition-colors duration-200"
+                        >
+                            Export
+                        </button>
+                        <label className="px-4 py-2 rounded-lg shadow-md bg-gray-700 hover:bg-gray-600 transition-colors duration-200 cursor-pointer">
+                            Import
+                            <input type="file" accept=".json,.csv,.txt,.ics" onChange={handleImportFile} className="hidden" />
+                        </label>
+                    </div>
+                    {importError && (
+                        <div className="text-sm text-red-300 bg-red-900/40 border border-red-700 rounded-lg p-3 mb-4 flex justify-between items-center">
+                            <span>{importError}</span>
+                            <button onClick={() => setImportError(null)} className="ml-2 text-red-400 hover:text-red-200">Dismiss</button>
+                        </div>
+                    )}
+                    {importPreview && (
+                        <div className="mb-4 p-3 bg-gray-700 rounded-lg text-sm">
+                            <p className="text-cyan-300 font-semibold mb-2">
+                                Import {importPreview.fileName}: {importPreview.entries.filter(entry => entry.selected).length} of {importPreview.entries.length} selected
+                            </p>
+                            <ul className="space-y-1 mb-3 max-h-40 overflow-y-auto custom-scrollbar">
+                                {importPreview.entries.map((entry, index) => (
+                                    <li key={`${entry.task.id}-${index}`} className="flex items-center">
+                                        <input
+                                            type="checkbox"
+                                            checked={entry.selected}
+                                            onChange={() => toggleImportEntry(index)}
+                                            className="form-checkbox h-4 w-4 text-cyan-500 rounded border-gray-500 cursor-pointer"
+                                        />
+                                        <span className="ml-2 flex-grow truncate">{entry.task.text}</span>
+                                        {entry.task.subtasks.length > 0 && (
+                                            <span className="ml-2 text-gray-400">+{entry.task.subtasks.length} subtasks</span>
+                                        )}
+                                        {entry.duplicateOf && (
+                                            <span className="ml-2 text-xs text-yellow-300">
+                                                Duplicate ({entry.duplicateOf === 'uid' ? 'same UID' : 'same text'})
                                             </span>
-                                        </div>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="flex space-x-2">
+                                <button onClick={confirmImport} className="px-3 py-1 bg-cyan-600 rounded hover:bg-cyan-700">Import selected</button>
+                                <button onClick={() => setImportPreview(null)} className="px-3 py-1 bg-gray-600 rounded hover:bg-gray-500">Cancel</button>
+                            </div>
+                        </div>
+                    )}
+                    {/* Multi-user sync */}
+                    <div className="mb-4 flex items-center space-x-2 text-sm">
+                        <span
+                            className={`h-2 w-2 rounded-full ${sync.status === 'online' ? 'bg-green-400' : sync.status === 'off' ? 'bg-gray-500' : 'bg-yellow-400'}`}
+                        />
+                        <span className="flex-grow text-gray-300">
+                            {sync.status === 'off' && 'Sync off'}
+                            {sync.status === 'connecting' && 'Connecting to relay...'}
+                            {sync.status === 'offline' && 'Offline: changes will sync when the relay is back'}
+                            {sync.status === 'online' && `Synced · ${sync.peers.length} other${sync.peers.length === 1 ? '' : 's'} online`}
+                        </span>
+                        <button
+                            onClick={() => setShowSyncSettings(show => !show)}
+                            className="px-4 py-2 rounded-lg shadow-md bg-gray-700 hover:bg-gray-600 transition-colors duration-200"
+                        >
+                            Sync settings
+                        </button>
+                    </div>
+                    {showSyncSettings && (
+                        <div className="mb-4 p-3 bg-gray-700 rounded-lg space-y-2 text-sm">
+                            <label className="flex items-center justify-between">
+                                <span>Share this board</span>
+                                <input
+                                    type="checkbox"
+                                    checked={syncSettings.enabled}
+                                    onChange={(e) => updateSyncSetting('enabled', e.target.checked)}
+                                    className="form-checkbox h-4 w-4 text-cyan-500 rounded border-gray-500 cursor-pointer"
+                                />
+                            </label>
+                            <label className="flex items-center justify-between">
+                                <span>Relay URL</span>
+                                <input
+                                    type="text"
+                                    value={relayUrlDraft ?? syncSettings.url}
+                                    onChange={(e) => setRelayUrlDraft(e.target.value)}
+                                    onBlur={commitRelayUrl}
+                                    onKeyDown={(e) => e.key === 'Enter' && commitRelayUrl()}
+                                    className="w-2/3 p-1 rounded bg-gray-800 border border-gray-600"
+                                />
+                            </label>
+                            <label className="flex items-center justify-between">
+                                <span>Your name</span>
+                                <input
+                                    type="text"
+                                    value={syncSettings.name}
+                                    placeholder="Guest"
+                                    onChange={(e) => updateSyncSetting('name', e.target.value)}
+                                    className="w-2/3 p-1 rounded bg-gray-800 border border-gray-600"
+                                />
+                            </label>
+                            {sync.peers.length > 0 && (
+                                <ul className="pt-1 space-y-1">
+                                    {sync.peers.map(({ clientId, presence }) => (
+                                        <li key={clientId} className="flex items-center">
+                                            <span className="h-2 w-2 rounded-full mr-2" style={{ backgroundColor: presence.color }} />
+                                            <span className="flex-grow">{presence.name}</span>
+                                            <span className="text-gray-400">{(boards.find(board => board.id === presence.boardId) || {}).name}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                    {loadError && (
+                        <div role="alert" className="text-sm text-red-200 bg-red-900/40 border border-red-700 rounded-lg p-3 mb-4">
+                            Saved tasks could not be loaded ({loadError}). Changes are not being saved, so the stored board is left untouched; reload the page to try again.
+                        </div>
+                    )}
+                    {quarantinedCount > 0 && (
+                        <div className="text-sm text-yellow-300 bg-yellow-900/40 border border-yellow-700 rounded-lg p-3 mb-4 flex justify-between items-center">
+                            <span>{quarantinedCount} saved {quarantinedCount === 1 ? 'entry was' : 'entries were'} corrupt and quarantined in storage.</span>
+                            <button onClick={() => setQuarantinedCount(0)} className="ml-2 text-yellow-400 hover:text-yellow-200">Dismiss</button>
+                        </div>
+                    )}
+
+                    {/* Search */}
+                    <div className="mb-4 space-y-2 text-sm">
+                        <div className="flex space-x-2">
+                            <input
+                                type="search"
+                                value={searchText}
+                                placeholder="Search: milk priority:high done:false #work due:week"
+                                onChange={(e) => setSearchText(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') locateFirstMatch();
+                                    else if (e.key === 'Escape') setSearchText('');
+                                }}
+                                className="flex-grow p-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                                aria-label="Search tasks"
+                            />
+                            <button
+                                onClick={saveCurrentFilter}
+                                disabled={searchText.trim() === '' || savedFilters.includes(searchText.trim())}
+                                className="px-3 bg-gray-700 rounded-lg hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                                title="Save this filter"
+                            >
+                                Save
+                            </button>
+                        </div>
+                        {searchQuery.errors.length > 0 && (
+                            <p className="text-yellow-300">{searchQuery.errors.join('. ')}</p>
+                        )}
+                        {searchResult && (
+                            <div className="flex justify-between items-center text-cyan-200">
+                                <span>
+                                    {searchResult.matches.size} {searchResult.matches.size === 1 ? 'match' : 'matches'}
+                                    {otherBoardMatches > 0 && ` (${otherBoardMatches} on other boards)`}
+                                </span>
+                                <label className="flex items-center text-gray-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={searchHidesOthers}
+                                        onChange={(e) => setSearchHidesOthers(e.target.checked)}
+                                        className="mr-1"
+                                    />
+                                    Hide others in 3D
+                                </label>
+                                <button onClick={() => setSearchText('')} className="text-cyan-400 hover:text-cyan-100">Show all</button>
+                            </div>
+                        )}
+                        {savedFilters.length > 0 && (
+                            <div className="flex flex-wrap gap-2">
+                                {savedFilters.map(query => (
+                                    <span
+                                        key={query}
+                                        className={`flex items-center rounded-full border ${query === searchText.trim() ? 'border-cyan-400 bg-cyan-900/40' : 'border-gray-600 bg-gray-700'}`}
+                                    >
+                                        <button onClick={() => setSearchText(query)} className="pl-3 pr-1 py-0.5 text-cyan-200 hover:text-white">{query}</button>
                                         <button
-                                            onClick={() => deleteTask(task.id)}
-                                            className="ml-4 p-2 text-red-400 hover:text-red-500 transition-colors duration-200 rounded-full hover:bg-gray-600"
-                                            title="Delete Task"
+                                            onClick={() => updateSavedFilters(savedFilters.filter(saved => saved !== query))}
+                                            className="pr-2 text-gray-400 hover:text-red-400"
+                                            title="Remove saved filter"
+                                            aria-label={`Remove saved filter ${query}`}
                                         >
-                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                            </svg>
+                                            ×
                                         </button>
-                                    </li>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Task List */}
+                    <div className="flex-grow overflow-y-auto pr-2 custom-scrollbar">
+                        {activeBoardTasks.length === 0 ? (
+                            <p className="text-gray-400 text-center mt-8">No tasks on {activeBoard.name} yet! Add some above.</p>
+                        ) : listedTasks.length === 0 ? (
+                            <p className="text-gray-400 text-center mt-8">No tasks on {activeBoard.name} match the search.</p>
+                        ) : (
+                            <ul className="space-y-3" aria-label={`Tasks on ${activeBoard.name}`}>
+                                {listedTasks.map((task) => (
+                                    <TaskListItem
+                                        key={task.id}
+                                        task={task}
+                                        now={now}
+                                        boards={boards}
+                                        onToggle={toggleTaskCompletion}
+                                        onDelete={deleteTask}
+                                        onUpdate={updateTask}
+                                        onAddSubtask={addSubtask}
+                                        highlightIds={searchResult && searchResult.matches}
+                                        onMoveToBoard={moveTaskToOtherBoard}
+                                        onLocate={locateTask}
+                                    />
                                 ))}
                             </ul>
                         )}
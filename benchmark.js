@@ -0,0 +1,46 @@
+// Benchmark helpers: synthetic boards and frame-time statistics.
+// Enabled by opening the app with `?benchmark` (optionally `?benchmark=1000` to pick the task count).
+
+const WORDS = ['review', 'deploy', 'design', 'call', 'vendor', 'draft', 'report', 'fix', 'plan', 'sprint', 'budget', 'launch'];
+
+// Read the requested benchmark size from the URL; null when benchmark mode is off
+export const getBenchmarkSizeFromUrl = () => {
+    if (typeof window === 'undefined') return null;
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('benchmark')) return null;
+    const size = parseInt(params.get('benchmark'), 10);
+    return Number.isInteger(size) && size > 0 ? size : 1000;
+};
+
+// Generate `count` synthetic tasks with varied text, priority and status.
+// Ids are unique per call so consecutive runs build a fresh board.
+export const createSyntheticTasks = (count, boardId) => {
+    const now = Date.now();
+    return Array.from({ length: count }, (_, index) => ({
+        id: `benchmark-${now}-${index}`,
+        text: `${WORDS[index % WORDS.length]} ${WORDS[(index * 7) % WORDS.length]} #${index}`,
+        completed: index % 4 === 0,
+        priority: index % 3,
+        createdAt: now - (count - index) * 60000,
+        completedAt: index % 4 === 0 ? now - (count - index) * 30000 : null,
+        dueDate: null,
+        tags: [],
+        notes: '',
+        position: null,
+        boardId,
+        subtasks: [],
+    }));
+};
+
+// Summarize sampled frame durations (ms)
+export const summarizeFrames = (frameTimes) => {
+    const sorted = [...frameTimes].sort((a, b) => a - b);
+    const average = sorted.reduce((sum, time) => sum + time, 0) / (sorted.length || 1);
+    return {
+        frames: sorted.length,
+        averageMs: average,
+        p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] || 0,
+        maxMs: sorted[sorted.length - 1] || 0,
+        fps: average > 0 ? 1000 / average : 0,
+    };
+};
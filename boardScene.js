@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { GROUND_SIZE, createPriorityZones } from './interaction.js';
+
+// Board planes in the scene and camera flights between them.
+// Boards are laid out one behind another along -Z, so every board shares the same X priority bands.
+
+export const BOARD_SPACING = 60; // Distance between board centers; leaves a gap between the 50-unit planes
+const LABEL_HEIGHT = 17; // Above the tallest grid stack, so task holograms never hide the label
+const FLIGHT_MS = 1200;
+
+// World-space center of the board at `index`
+export const boardOrigin = (index) => new THREE.Vector3(0, 0, -index * BOARD_SPACING);
+
+// Index of the board nearest to a world Z coordinate
+export const boardIndexAt = (z, boardCount) => THREE.MathUtils.clamp(Math.round(-z / BOARD_SPACING), 0, boardCount - 1);
+
+// Camera framing for one board: the same view the app starts with, moved to that board
+export const boardView = (index) => {
+    const target = boardOrigin(index);
+    return { target, position: target.clone().add(new THREE.Vector3(0, 5, 15)) };
+};
+
+// Close-up of one hologram at `position`, from the front and slightly above
+export const hologramView = (position) => ({
+    target: position.clone(),
+    position: position.clone().add(new THREE.Vector3(0, 2, 8)),
+});
+
+// Framing of one board that takes in the analytics chart on its right as well as the holograms
+export const analyticsView = (index) => {
+    const target = boardOrigin(index).add(new THREE.Vector3(9, 2, 3));
+    return { target, position: target.clone().add(new THREE.Vector3(0, 7, 20)) };
+};
+
+// Camera framing that fits every board, looking down the row of planes from the side
+export const overviewView = (boardCount) => {
+    const target = boardOrigin((boardCount - 1) / 2);
+    const span = (boardCount - 1) * BOARD_SPACING + GROUND_SIZE;
+    const direction = new THREE.Vector3(0.8, 0.9, 0.6).normalize();
+    return { target, position: target.clone().addScaledVector(direction, span * 0.8 + 10) };
+};
+
+// Board name with its open/completed counts, on a canvas texture
+const drawLabel = (canvas, { board, open, completed }, isActive) => {
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = isActive ? '#22d3ee' : '#94a3b8';
+    context.font = 'bold 56px sans-serif';
+    context.fillText(board.name || 'Untitled', canvas.width / 2, 48, canvas.width - 16);
+    context.fillStyle = '#e2e8f0';
+    context.font = '36px sans-serif';
+    context.fillText(`${open} open · ${completed} done`, canvas.width / 2, 104);
+};
+
+const createPlane = () => {
+    const group = new THREE.Group();
+    group.userData.isBoard = true;
+
+    const ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE),
+        new THREE.MeshStandardMaterial({
+            color: 0x00ffff, // Cyan for a holographic grid
+            transparent: true,
+            opacity: 0.1,
+            side: THREE.DoubleSide,
+        })
+    );
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    group.add(ground);
+
+    // Debug helper, hidden unless turned on in the display settings
+    const grid = new THREE.GridHelper(GROUND_SIZE, GROUND_SIZE, 0x888888, 0x444444);
+    group.add(grid);
+
+    // Low/Medium/High bands; dragging a hologram into another band changes its priority
+    group.add(createPriorityZones());
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 144;
+    const texture = new THREE.CanvasTexture(canvas);
+    const label = new THREE.Mesh(
+        new THREE.PlaneGeometry(16, 4.5),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false, side: THREE.DoubleSide })
+    );
+    label.position.set(0, LABEL_HEIGHT, -GROUND_SIZE / 2);
+    group.add(label);
+
+    return { group, ground, grid, canvas, texture, labelKey: null };
+};
+
+const disposeObject = (object) => {
+    object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+};
+
+// Keeps one plane per board in the scene. sync() takes summarizeBoards() output, in board order.
+export const createBoardPlanes = (scene) => {
+    const planes = new Map(); // boardId -> plane
+    let showGrids = false;
+
+    const sync = (summaries, activeBoardId) => {
+        const seen = new Set();
+        summaries.forEach((summary, index) => {
+            const { board } = summary;
+            seen.add(board.id);
+            let plane = planes.get(board.id);
+            if (!plane) {
+                plane = createPlane();
+                planes.set(board.id, plane);
+                scene.add(plane.group);
+            }
+            plane.group.position.copy(boardOrigin(index));
+            plane.grid.visible = showGrids;
+            const isActive = board.id === activeBoardId;
+            plane.ground.material.opacity = isActive ? 0.14 : 0.06;
+
+            // Only redraw the label texture when its text or highlight changed
+            const labelKey = `${board.name}|${summary.open}|${summary.completed}|${isActive}`;
+            if (labelKey !== plane.labelKey) {
+                drawLabel(plane.canvas, summary, isActive);
+                plane.texture.needsUpdate = true;
+                plane.labelKey = labelKey;
+            }
+        });
+
+        planes.forEach((plane, boardId) => {
+            if (seen.has(boardId)) return;
+            scene.remove(plane.group);
+            disposeObject(plane.group);
+            planes.delete(boardId);
+        });
+    };
+
+    const dispose = () => {
+        planes.forEach(plane => {
+            scene.remove(plane.group);
+            disposeObject(plane.group);
+        });
+        planes.clear();
+    };
+
+    const setDebugHelpers = (visible) => {
+        showGrids = visible;
+        planes.forEach(plane => {
+            plane.grid.visible = visible;
+        });
+    };
+
+    return { sync, setDebugHelpers, dispose };
+};
+
+// Smoothly move the camera and the OrbitControls target to a view. Call update() once per frame.
+// Grabbing the controls mid-flight hands the camera back to the user.
+export const createCameraFlight = (camera, controls) => {
+    const baseMaxDistance = controls.maxDistance;
+    let flight = null;
+    let isInstant = false; // Reduced motion: jump straight to the view
+
+    const flyTo = ({ position, target }) => {
+        flight = {
+            fromPosition: camera.position.clone(),
+            fromTarget: controls.target.clone(),
+            position,
+            target,
+            startedAt: performance.now(),
+        };
+        // Let the user zoom out as far as the overview needs
+        controls.maxDistance = Math.max(baseMaxDistance, position.distanceTo(target) * 1.5);
+    };
+
+    const update = () => {
+        if (!flight) return;
+        const t = isInstant ? 1 : Math.min(1, (performance.now() - flight.startedAt) / FLIGHT_MS);
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // Ease in-out cubic
+        camera.position.lerpVectors(flight.fromPosition, flight.position, eased);
+        controls.target.lerpVectors(flight.fromTarget, flight.target, eased);
+        if (t === 1) flight = null;
+    };
+
+    const cancel = () => {
+        flight = null;
+    };
+    controls.addEventListener('start', cancel);
+
+    const setInstant = (instant) => {
+        isInstant = instant;
+    };
+
+    const dispose = () => controls.removeEventListener('start', cancel);
+
+    return { flyTo, update, setInstant, dispose };
+};
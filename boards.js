@@ -0,0 +1,31 @@
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_BOARD_ID } from './tasks.js';
+
+// Boards: named groups of tasks, each drawn on its own plane in the scene.
+// A board is { id, name }; top-level tasks (and their subtasks) point at theirs through `boardId`.
+
+export const DEFAULT_BOARDS = [{ id: DEFAULT_BOARD_ID, name: 'Main' }];
+
+export const createBoard = (name) => ({ id: uuidv4(), name });
+
+// The board a task is shown on. Tasks whose board no longer exists fall back to the first board.
+export const boardIdOf = (task, boards) => (
+    boards.some(board => board.id === task.boardId) ? task.boardId : boards[0].id
+);
+
+// Map of boardId -> top-level tasks on that board, in board order
+export const groupTasksByBoard = (tasks, boards) => {
+    const groups = new Map(boards.map(board => [board.id, []]));
+    tasks.forEach(task => groups.get(boardIdOf(task, boards)).push(task));
+    return groups;
+};
+
+// { board, open, completed } per board, counting top-level tasks
+export const summarizeBoards = (tasks, boards) => {
+    const groups = groupTasksByBoard(tasks, boards);
+    return boards.map(board => {
+        const boardTasks = groups.get(board.id);
+        const completed = boardTasks.filter(task => task.completed).length;
+        return { board, open: boardTasks.length - completed, completed };
+    });
+};
@@ -0,0 +1,211 @@
+import { flattenTasks, parseTags, toDateString, addDays } from './tasks.js';
+
+// Deterministic natural-language commands, shared by the command palette and voice input.
+// parseCommand() turns a phrase into one of:
+//   { action: 'add', task: { text, priority, dueDate, tags } }
+//   { action: 'complete' | 'reopen' | 'delete', query, matches }
+//   { action: 'setPriority', query, matches, priority }
+//   { action: 'deleteCompleted' }
+//   { action: 'filter', filter: { priority, completed } }   null fields mean "any"
+//   { action: 'undo' } | { action: 'redo' }
+//   { action: 'unknown', input }
+// `matches` are the tasks the phrase could mean; more than one makes the command ambiguous.
+
+const PRIORITY_NAMES = ['low', 'medium', 'high'];
+const PRIORITY_ALIASES = { normal: 1, urgent: 2, important: 2 };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Lowercase, drop punctuation and collapse whitespace, for matching spoken or typed text against task titles
+const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+const priorityFromWord = (word) => {
+    const lower = word.toLowerCase();
+    const index = PRIORITY_NAMES.indexOf(lower);
+    return index !== -1 ? index : PRIORITY_ALIASES[lower] ?? null;
+};
+
+// Date phrases, tried in order. Each returns a Date for the match.
+const DATE_PATTERNS = [
+    { pattern: /\b(?:due\s+|on\s+|by\s+)?(\d{4}-\d{2}-\d{2})\b/i, resolve: (match) => new Date(`${match[1]}T12:00:00`) },
+    { pattern: /\b(?:due\s+|by\s+)?today\b|\btonight\b/i, resolve: (match, now) => new Date(now) },
+    { pattern: /\b(?:due\s+|by\s+)?tomorrow\b/i, resolve: (match, now) => addDays(now, 1) },
+    { pattern: /\bin\s+(\d+)\s+(day|days|week|weeks)\b/i, resolve: (match, now) => addDays(now, Number(match[1]) * (match[2].startsWith('week') ? 7 : 1)) },
+    { pattern: /\b(?:due\s+|by\s+)?next\s+week\b/i, resolve: (match, now) => addDays(now, 7) },
+    {
+        // Weekdays need a lead-in ("on friday", "by monday", "next tuesday") or must end the phrase,
+        // so titles like "prepare monday meeting" keep their weekday
+        pattern: new RegExp(`\\b(?:(?:due|on|by|this|next)\\s+(${WEEKDAYS.join('|')})\\b|(${WEEKDAYS.join('|')})$)`, 'i'),
+        resolve: (match, now) => {
+            const target = WEEKDAYS.indexOf((match[1] || match[2]).toLowerCase());
+            const today = new Date(now).getDay();
+            const ahead = (target - today + 7) % 7 || 7; // A weekday always means the next one, never today
+            return addDays(now, ahead);
+        },
+    },
+];
+
+// Pull priority, due date and #tags out of a new task phrase; what's left is the title
+const parseNewTask = (phrase, now) => {
+    let text = phrase;
+    let priority = null;
+    let dueDate = null;
+
+    const priorityMatch = text.match(/\b(?:with\s+)?(high|medium|low|normal)\s+priority\b|\bpriority\s+(high|medium|low|normal)\b|^(urgent|important)\b/i);
+    if (priorityMatch) {
+        priority = priorityFromWord(priorityMatch[1] || priorityMatch[2] || priorityMatch[3]);
+        text = text.replace(priorityMatch[0], ' ');
+    }
+
+    for (const { pattern, resolve } of DATE_PATTERNS) {
+        const match = text.trim().match(pattern);
+        if (!match) continue;
+        const date = resolve(match, now);
+        if (!Number.isNaN(date.getTime())) {
+            dueDate = toDateString(date);
+            text = text.trim().replace(match[0], ' ');
+        }
+        break;
+    }
+
+    const tags = parseTags((text.match(/#[\p{L}\p{N}_-]+/gu) || []).join(','));
+    text = text.replace(/#[\p{L}\p{N}_-]+/gu, ' ');
+
+    // Filler left over from phrases like "to call vendor by"
+    text = text.replace(/\s+/g, ' ').trim().replace(/^(?:a\s+task\s+|task\s+|to\s+)/i, '').replace(/\s+(?:due|by|on)$/i, '').trim();
+    return { text, priority, dueDate, tags };
+};
+
+// Tasks (subtasks included) whose title matches `query`: exact titles win, then titles containing the query,
+// then titles containing every word of it. `prefer` narrows several matches down, e.g. to open tasks.
+export const findTaskMatches = (query, tasks, prefer = () => true) => {
+    const target = normalize(query);
+    if (target === '') return [];
+    const all = flattenTasks(tasks).map(({ task }) => task);
+    const words = target.split(' ');
+    const tiers = [
+        all.filter(task => normalize(task.text) === target),
+        all.filter(task => normalize(task.text).includes(target)),
+        all.filter(task => words.every(word => normalize(task.text).split(' ').includes(word))),
+    ];
+    const matches = tiers.find(tier => tier.length > 0) || [];
+    const preferred = matches.filter(prefer);
+    return preferred.length > 0 ? preferred : matches;
+};
+
+// Phrase (already lowercased and trimmed) -> filter, or null if it isn't a "show" command
+const parseFilter = (phrase) => {
+    const match = phrase.match(/^(?:show|display|filter(?:\s+to)?|only\s+show)\s+(?:me\s+)?(?:only\s+)?(.*)$/);
+    if (!match) return null;
+    const rest = match[1].replace(/\b(?:tasks?|items?|priority|ones)\b/g, ' ').replace(/\s+/g, ' ').trim();
+    if (['all', 'everything', ''].includes(rest)) return { priority: null, completed: null };
+    const filter = { priority: null, completed: null };
+    rest.split(' ').forEach(word => {
+        const priority = priorityFromWord(word);
+        if (priority !== null) filter.priority = priority;
+        else if (['completed', 'complete', 'done', 'finished'].includes(word)) filter.completed = true;
+        else if (['open', 'incomplete', 'pending', 'remaining', 'todo'].includes(word)) filter.completed = false;
+    });
+    return filter.priority === null && filter.completed === null ? null : filter;
+};
+
+export const parseCommand = (input, tasks, now = Date.now()) => {
+    const phrase = input.trim().replace(/[.!?]+$/, '');
+    const lower = phrase.toLowerCase();
+    if (lower === '') return { action: 'unknown', input };
+
+    if (/^undo\b/.test(lower)) return { action: 'undo' };
+    if (/^redo\b/.test(lower)) return { action: 'redo' };
+
+    if (/^(?:delete|remove|clear|archive)\s+(?:all\s+)?(?:the\s+)?(?:completed|done|finished)(?:\s+tasks?)?$/.test(lower)) {
+        return { action: 'deleteCompleted' };
+    }
+
+    const filter = parseFilter(lower);
+    if (filter) return { action: 'filter', filter };
+
+    const add = phrase.match(/^(?:add|create|new|remind\s+me\s+to)\s+(.+)$/i);
+    if (add) return { action: 'add', task: parseNewTask(add[1], now) };
+
+    // "make X high priority", "set X to low", "prioritize X" (means high)
+    const setPriority = phrase.match(/^(?:make|set|mark|change)\s+(.+?)\s+(?:to\s+|as\s+)?(high|medium|low|normal|urgent)(?:\s+priority)?$/i);
+    if (setPriority) {
+        const query = setPriority[1];
+        return { action: 'setPriority', query, priority: priorityFromWord(setPriority[2]), matches: findTaskMatches(query, tasks) };
+    }
+    const prioritize = phrase.match(/^prioriti[sz]e\s+(.+)$/i);
+    if (prioritize) {
+        return { action: 'setPriority', query: prioritize[1], priority: 2, matches: findTaskMatches(prioritize[1], tasks) };
+    }
+
+    // "mark X as done" / "mark X as not done"
+    const mark = phrase.match(/^mark\s+(.+?)\s+(?:as\s+)?(not\s+done|incomplete|undone|open|done|complete|completed|finished)$/i);
+    if (mark) {
+        const reopen = /^(?:not|incomplete|undone|open)/i.test(mark[2]);
+        const query = mark[1];
+        return reopen
+            ? { action: 'reopen', query, matches: findTaskMatches(query, tasks, task => task.completed) }
+            : { action: 'complete', query, matches: findTaskMatches(query, tasks, task => !task.completed) };
+    }
+
+    const complete = phrase.match(/^(?:complete|finish|finished|done(?:\s+with)?|check(?:\s+off)?|tick(?:\s+off)?)\s+(.+)$/i);
+    if (complete) return { action: 'complete', query: complete[1], matches: findTaskMatches(complete[1], tasks, task => !task.completed) };
+
+    const reopen = phrase.match(/^(?:reopen|uncomplete|uncheck|untick|restore)\s+(.+)$/i);
+    if (reopen) return { action: 'reopen', query: reopen[1], matches: findTaskMatches(reopen[1], tasks, task => task.completed) };
+
+    const remove = phrase.match(/^(?:delete|remove|drop|trash)\s+(.+)$/i);
+    if (remove) return { action: 'delete', query: remove[1], matches: findTaskMatches(remove[1], tasks) };
+
+    return { action: 'unknown', input };
+};
+
+// Commands that act on one task need exactly one match before they can run
+export const isAmbiguous = (command) => Array.isArray(command.matches) && command.matches.length > 1;
+
+// One-line preview of what a command will do
+export const describeCommand = (command) => {
+    const priorityLabel = (priority) => `${PRIORITY_NAMES[priority]} priority`;
+    const target = (command) => (command.matches.length === 0
+        ? `no task matches "${command.query}"`
+        : command.matches.length === 1 ? `"${command.matches[0].text}"` : `${command.matches.length} tasks match "${command.query}"`);
+
+    switch (command.action) {
+        case 'add': {
+            const { text, priority, dueDate, tags } = command.task;
+            const details = [
+                priority !== null && priorityLabel(priority),
+                dueDate && `due ${dueDate}`,
+                tags.length > 0 && tags.map(tag => `#${tag}`).join(' '),
+            ].filter(Boolean);
+            return text === '' ? 'Add a task: say what it is' : `Add "${text}"${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+        }
+        case 'complete': return `Complete ${target(command)}`;
+        case 'reopen': return `Reopen ${target(command)}`;
+        case 'delete': return `Delete ${target(command)}`;
+        case 'setPriority': return `Set ${target(command)} to ${priorityLabel(command.priority)}`;
+        case 'deleteCompleted': return 'Delete all completed tasks';
+        case 'filter': {
+            const { priority, completed } = command.filter;
+            if (priority === null && completed === null) return 'Show all tasks';
+            const parts = [completed === true && 'completed', completed === false && 'open', priority !== null && priorityLabel(priority)].filter(Boolean);
+            return `Show only ${parts.join(' ')} tasks`;
+        }
+        case 'undo': return 'Undo the last change';
+        case 'redo': return 'Redo';
+        default: return 'Try "add high priority call vendor tomorrow", "complete buy milk", "delete all completed" or "show only high"';
+    }
+};
+
+// True when the command has everything it needs to run (a title to add, a task to act on)
+export const isRunnable = (command) => {
+    if (command.action === 'unknown') return false;
+    if (command.action === 'add') return command.task.text !== '';
+    if (Array.isArray(command.matches)) return command.matches.length > 0;
+    return true;
+};
+
+// The search query (see taskQuery.js) equivalent to a 'filter' command
+export const filterToQuery = ({ priority, completed }) => [
+    priority !== null && `priority:${PRIORITY_NAMES[priority]}`,
+    completed !== null && `done:${completed}`,
+].filter(Boolean).join(' ');
@@ -0,0 +1,36 @@
+import * as THREE from 'three';
+
+// Keyboard focus indicator: a bright box outline around the focused hologram, drawn on top of everything so it
+// stays visible through other holograms. Not a task object, so hover and drag ignore it.
+
+const PADDING = 0.3; // World units of space between the text and the outline
+
+export const createFocusRing = (scene) => {
+    const ring = new THREE.LineSegments(
+        new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+        new THREE.LineBasicMaterial({ color: 0xffff66, depthTest: false, transparent: true })
+    );
+    ring.renderOrder = 999;
+    ring.visible = false;
+    scene.add(ring);
+    const size = new THREE.Vector3();
+
+    // Call every frame with the focused hologram's mesh, or null when nothing is focused
+    const update = (mesh) => {
+        ring.visible = Boolean(mesh && mesh.visible);
+        if (!ring.visible) return;
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        mesh.geometry.boundingBox.getSize(size).multiply(mesh.scale);
+        ring.scale.set(size.x + PADDING, size.y + PADDING, Math.max(size.z, 0.01) + PADDING);
+        ring.position.copy(mesh.position);
+        ring.quaternion.copy(mesh.quaternion);
+    };
+
+    const dispose = () => {
+        scene.remove(ring);
+        ring.geometry.dispose();
+        ring.material.dispose();
+    };
+
+    return { update, dispose };
+};
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+
+// Holographic shader for task text: fresnel rim glow, drifting scanlines, occasional flicker and a priority
+// pulse, plus a noise dissolve driven by `uReveal` (0 = gone, 1 = fully there) for appear/complete animations.
+// Time, effect intensity and motion are shared uniforms, so one update per frame drives every material.
+
+const vertexShader = `
+    varying vec2 vUv;
+    varying vec3 vNormal;
+    varying vec3 vViewDir;
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vUv = uv;
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        vec4 viewPosition = viewMatrix * worldPosition;
+        vNormal = normalize(normalMatrix * normal);
+        vViewDir = normalize(-viewPosition.xyz);
+        gl_Position = projectionMatrix * viewPosition;
+    }
+`;
+
+const fragmentShader = `
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    uniform float uGlow;
+    uniform float uPulseRate;
+    uniform float uReveal;
+    uniform float uTime;
+    uniform float uIntensity;
+    uniform float uMotion;
+    uniform sampler2D uAlphaMap;
+    uniform bool uHasAlphaMap;
+
+    varying vec2 vUv;
+    varying vec3 vNormal;
+    varying vec3 vViewDir;
+    varying vec3 vWorldPosition;
+
+    float hash(vec3 p) {
+        return fract(sin(dot(p, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+    }
+
+    void main() {
+        // Dissolve: cells whose noise is above the reveal threshold are cut away, with a bright seam at the edge
+        float noise = hash(floor(vWorldPosition * 10.0));
+        if (noise > uReveal) discard;
+        float seam = uReveal < 1.0 ? smoothstep(uReveal - 0.12, uReveal, noise) : 0.0;
+
+        float facing = abs(dot(normalize(vNormal), normalize(vViewDir)));
+        float rim = pow(1.0 - facing, 2.0) * uIntensity;
+        float scanline = 1.0 - 0.35 * uIntensity * (0.5 + 0.5 * sin(vWorldPosition.y * 30.0 - uTime * 3.0 * uMotion));
+        float pulse = 1.0 + 0.25 * uMotion * sin(uTime * uPulseRate);
+        float flicker = 1.0 - 0.15 * uMotion * uIntensity * step(0.96, hash(vec3(floor(uTime * 24.0))));
+
+        float alpha = uOpacity * scanline * flicker + rim * 0.5;
+        if (uHasAlphaMap) alpha *= texture2D(uAlphaMap, vUv).g;
+
+        vec3 color = uColor * (uGlow * pulse + rim * 1.5) + vec3(seam);
+        gl_FragColor = vec4(color, clamp(alpha + seam, 0.0, 1.0));
+    }
+`;
+
+// Uniforms shared by every hologram material; update their values, never replace them
+export const createHologramUniforms = () => ({
+    uTime: { value: 0 },
+    uIntensity: { value: 1 },
+    uMotion: { value: 1 }, // 0 under reduced motion: no pulse, flicker or scanline drift
+});
+
+// `shared` comes from createHologramUniforms(). Meshes set their own reveal through trackHologramReveal().
+export const createHologramMaterial = ({ color, opacity, glow, pulseRate, alphaMap = null, shared }) => new THREE.ShaderMaterial({
+    uniforms: {
+        uColor: { value: new THREE.Color(color) },
+        uOpacity: { value: opacity },
+        uGlow: { value: glow },
+        uPulseRate: { value: pulseRate },
+        uReveal: { value: 1 },
+        uAlphaMap: { value: alphaMap },
+        uHasAlphaMap: { value: alphaMap !== null },
+        ...shared,
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    side: alphaMap ? THREE.DoubleSide : THREE.FrontSide,
+});
+
+// Materials are shared between holograms, so each mesh uploads its own `userData.reveal` right before it is drawn
+export const trackHologramReveal = (mesh, reveal = 1) => {
+    mesh.userData.reveal = reveal;
+    mesh.onBeforeRender = (renderer, scene, camera, geometry, material) => {
+        if (!material.uniforms || !material.uniforms.uReveal) return;
+        material.uniforms.uReveal.value = mesh.userData.reveal;
+        material.uniformsNeedUpdate = true;
+    };
+};
+
+// Plain material with the same colour and opacity, for exporters that can't write shaders
+export const toStandardMaterial = (material) => {
+    if (!material.isShaderMaterial) return material;
+    const { uColor, uOpacity, uGlow, uAlphaMap } = material.uniforms;
+    return new THREE.MeshStandardMaterial({
+        color: uColor.value,
+        emissive: uColor.value,
+        emissiveIntensity: Math.min(1, uGlow.value),
+        transparent: true,
+        opacity: uOpacity.value,
+        alphaMap: uAlphaMap.value,
+        side: material.side,
+    });
+};
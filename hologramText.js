@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
+import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// Text rendering for task holograms.
+// Fonts ship with the app (no network fetch), are tried in order per glyph, and anything no vector font
+// covers (CJK, emoji, ...) is drawn to a canvas texture instead. Long titles are wrapped and truncated.
+
+// Bundled typeface fonts, in fallback order. Helvetiker covers basic Latin; Droid Sans adds accented Latin,
+// Greek and Cyrillic.
+const FONT_MODULES = [
+    () => import('three/examples/fonts/helvetiker_regular.typeface.json'),
+    () => import('three/examples/fonts/droid/droid_sans_regular.typeface.json'),
+];
+
+export const MAX_CHARS_PER_LINE = 24;
+export const MAX_LINES = 3;
+const LINE_SPACING = 1.3; // Line height as a multiple of the text size
+const CANVAS_FONT_PX = 64; // Resolution of canvas-rendered text
+
+// Load and parse the bundled font chain. Resolves with the fonts that loaded; rejects only when none did.
+export const loadFontChain = async () => {
+    const loader = new FontLoader();
+    const results = await Promise.allSettled(FONT_MODULES.map(load => load()));
+    const fonts = results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => loader.parse(result.value.default || result.value));
+    if (fonts.length === 0) {
+        throw results[0].reason;
+    }
+    return fonts;
+};
+
+// Word-wrap text to at most `maxLines` lines of `maxChars`, breaking overlong words and ending with an ellipsis
+// when truncated
+export const wrapText = (text, maxChars = MAX_CHARS_PER_LINE, maxLines = MAX_LINES) => {
+    const chars = (word) => Array.from(word); // Count code points so emoji aren't split
+    const lines = [];
+    let current = [];
+
+    text.trim().split(/\s+/).forEach(word => {
+        let wordChars = chars(word);
+        while (wordChars.length > 0) {
+            const needed = current.length === 0 ? wordChars.length : current.length + 1 + wordChars.length;
+            if (needed <= maxChars) {
+                current = current.length === 0 ? wordChars : [...current, ' ', ...wordChars];
+                wordChars = [];
+            } else if (current.length === 0) {
+                // Word longer than a line: hard-break it
+                lines.push(wordChars.slice(0, maxChars));
+                wordChars = wordChars.slice(maxChars);
+            } else {
+                lines.push(current);
+                current = [];
+            }
+        }
+    });
+    if (current.length > 0) lines.push(current);
+
+    if (lines.length > maxLines) {
+        const last = lines[maxLines - 1].slice(0, maxChars - 1);
+        lines.length = maxLines;
+        lines[maxLines - 1] = [...last, '…'];
+    }
+    return lines.map(line => line.join(''));
+};
+
+// Index of the first font in the chain that has a glyph for `char`, or -1
+const fontIndexFor = (fonts, char) => fonts.findIndex(font => !!font.data.glyphs[char]);
+
+// Split a line into runs that can each be drawn with a single font. Returns null if some glyph is in no font.
+const splitIntoRuns = (line, fonts) => {
+    const runs = [];
+    for (const char of line) {
+        // Spaces stay with the current run so they don't force a font switch
+        const index = char === ' ' && runs.length > 0 ? runs[runs.length - 1].fontIndex : fontIndexFor(fonts, char);
+        if (index === -1) return null;
+        const last = runs[runs.length - 1];
+        if (last && last.fontIndex === index) {
+            last.text += char;
+        } else {
+            runs.push({ fontIndex: index, text: char });
+        }
+    }
+    return runs;
+};
+
+// Horizontal advance of a run, matching the spacing FontLoader uses between glyphs
+const runAdvance = (run, font, size) => {
+    const scale = size / font.data.resolution;
+    return Array.from(run.text).reduce((width, char) => width + font.data.glyphs[char].ha * scale, 0);
+};
+
+// Extruded text from the vector font chain, one TextGeometry per run merged into a single geometry
+const createVectorGeometry = (lines, fonts, options) => {
+    const lineRuns = lines.map(line => splitIntoRuns(line, fonts));
+    if (lineRuns.some(runs => runs === null)) return null;
+
+    const parts = [];
+    lineRuns.forEach((runs, lineIndex) => {
+        let offsetX = 0;
+        runs.forEach(run => {
+            const font = fonts[run.fontIndex];
+            if (run.text.trim() !== '') {
+                const part = new TextGeometry(run.text, { ...options, font });
+                part.translate(offsetX, -lineIndex * options.size * LINE_SPACING, 0);
+                parts.push(part);
+            }
+            offsetX += runAdvance(run, font, options.size);
+        });
+    });
+    if (parts.length === 0) return new THREE.BufferGeometry();
+
+    const geometry = parts.length === 1 ? parts[0] : mergeGeometries(parts);
+    if (parts.length > 1) parts.forEach(part => part.dispose());
+    return geometry;
+};
+
+// Flat text drawn with the browser's fonts onto a canvas, used as an alpha map on a plane
+const createCanvasGeometry = (lines, options) => {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const font = `${CANVAS_FONT_PX}px sans-serif`;
+    const lineHeight = CANVAS_FONT_PX * LINE_SPACING;
+
+    context.font = font;
+    const width = Math.ceil(Math.max(1, ...lines.map(line => context.measureText(line).width)));
+    canvas.width = width;
+    canvas.height = Math.ceil(lineHeight * lines.length);
+
+    // Black = transparent, white = opaque when used as an alphaMap; the material supplies the colour
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = font; // Resizing the canvas resets the context state
+    context.fillStyle = '#ffffff';
+    context.textBaseline = 'middle';
+    lines.forEach((line, index) => context.fillText(line, 0, lineHeight * (index + 0.5)));
+
+    const alphaMap = new THREE.CanvasTexture(canvas);
+    const unitsPerPixel = options.size / (CANVAS_FONT_PX * 0.7); // Roughly match the cap height of the vector fonts
+    const geometry = new THREE.PlaneGeometry(canvas.width * unitsPerPixel, canvas.height * unitsPerPixel);
+    return { geometry, alphaMap };
+};
+
+// Build hologram text for a task title. Returns { geometry, alphaMap } where alphaMap is null for extruded
+// vector text and a CanvasTexture when the canvas path was needed.
+export const createHologramText = (text, fonts, options) => {
+    const lines = wrapText(text);
+    if (lines.length === 0) lines.push('');
+
+    const vectorGeometry = fonts.length > 0 ? createVectorGeometry(lines, fonts, options) : null;
+    const result = vectorGeometry ? { geometry: vectorGeometry, alphaMap: null } : createCanvasGeometry(lines, options);
+    result.geometry.center(); // Center the text geometry
+    return result;
+};
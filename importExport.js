@@ -0,0 +1,369 @@
+import { SCHEMA_VERSION, migrate, isValidTask } from './storage.js';
+import { createTask, flattenTasks } from './tasks.js';
+
+// Import and export of task lists: native JSON, CSV, todo.txt and iCalendar VTODO.
+// Parsers return a task tree (subtasks nested) ready to merge into `tasks`; serializers take the same tree.
+
+export const EXPORT_FORMATS = [
+    { id: 'json', label: 'JSON', extension: 'json', mime: 'application/json' },
+    { id: 'csv', label: 'CSV', extension: 'csv', mime: 'text/csv' },
+    { id: 'todotxt', label: 'todo.txt', extension: 'txt', mime: 'text/plain' },
+    { id: 'ical', label: 'iCalendar (VTODO)', extension: 'ics', mime: 'text/calendar' },
+];
+
+const CSV_COLUMNS = ['id', 'parentId', 'text', 'completed', 'priority', 'dueDate', 'tags', 'notes', 'createdAt', 'completedAt'];
+const PRIORITY_NAMES = ['low', 'medium', 'high'];
+
+// Rebuild a tree from flat records that carry a parentId; orphans become top-level tasks
+const nestByParent = (records) => {
+    const byId = new Map(records.map(({ task }) => [task.id, { ...task, subtasks: [] }]));
+    const roots = [];
+    records.forEach(({ task, parentId }) => {
+        const node = byId.get(task.id);
+        const parent = parentId && parentId !== task.id ? byId.get(parentId) : null;
+        if (parent) parent.subtasks.push(node);
+        else roots.push(node);
+    });
+    return roots;
+};
+
+// Accept priorities as 0–2, or words
+const parsePriority = (value) => {
+    const number = parseInt(value, 10);
+    if (number >= 0 && number <= 2) return number;
+    const index = PRIORITY_NAMES.indexOf(String(value).trim().toLowerCase());
+    return index === -1 ? 1 : index;
+};
+
+// Accept YYYY-MM-DD or compact YYYYMMDD dates of a real calendar day; anything else means no due date
+const parseDate = (value) => {
+    const match = String(value || '').match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day); // Unlike Date.UTC, keeps years below 100 as they are
+    const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    return valid ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// --- JSON -------------------------------------------------------------------
+
+const serializeJson = (tasks) => JSON.stringify({ format: 'holograms', version: SCHEMA_VERSION, exportedAt: Date.now(), tasks }, null, 2);
+
+// Uses the storage migrations, so exports from older versions still import
+const parseJson = (content) => {
+    const { tasks } = migrate(JSON.parse(content));
+    const invalid = tasks.filter(task => !isValidTask(task));
+    if (invalid.length > 0) throw new Error(`${invalid.length} task(s) in the file are malformed.`);
+    return tasks;
+};
+
+// --- CSV --------------------------------------------------------------------
+
+export const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const serializeCsv = (tasks) => [
+    CSV_COLUMNS.join(','),
+    ...flattenTasks(tasks).map(({ task, parentId }) => [
+        task.id, parentId, task.text, task.completed, task.priority, task.dueDate, task.tags.join(';'), task.notes, task.createdAt, task.completedAt,
+    ].map(csvField).join(',')),
+].join('\r\n');
+
+// RFC 4180 parser: quoted fields may contain commas, doubled quotes and newlines
+const parseCsvRows = (content) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Needs a header row with at least a `text` (or `title`) column; other columns are optional
+const parseCsv = (content) => {
+    const [header, ...rows] = parseCsvRows(content);
+    if (!header) return [];
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = (cells, ...names) => {
+        const index = columns.findIndex(name => names.includes(name));
+        return index === -1 ? undefined : cells[index];
+    };
+    if (!columns.includes('text') && !columns.includes('title')) {
+        throw new Error('CSV needs a "text" column.');
+    }
+    return nestByParent(rows.map(cells => {
+        const id = column(cells, 'id', 'uid');
+        const createdAt = Number(column(cells, 'createdat'));
+        const completedAt = Number(column(cells, 'completedat'));
+        const completed = /^(true|1|yes|x|done)$/i.test((column(cells, 'completed', 'done') || '').trim());
+        const tags = column(cells, 'tags');
+        return {
+            parentId: column(cells, 'parentid') || null,
+            task: createTask((column(cells, 'text', 'title') || '').trim(), {
+                ...(id ? { id } : {}),
+                completed,
+                priority: parsePriority(column(cells, 'priority') ?? 1),
+                dueDate: parseDate(column(cells, 'duedate', 'due')),
+                tags: tags ? tags.split(/[;,]/).map(tag => tag.trim()).filter(Boolean) : [],
+                notes: column(cells, 'notes') || '',
+                ...(createdAt > 0 ? { createdAt } : {}),
+                ...(completed && completedAt > 0 ? { completedAt } : {}),
+            }),
+        };
+    }).filter(({ task }) => task.text !== ''));
+};
+
+// --- todo.txt ---------------------------------------------------------------
+
+// (A) is High, (B) Medium, (C) and below Low
+const TODO_PRIORITY_LETTERS = ['C', 'B', 'A'];
+// Widely used key:value extensions; any other word with a colon (10:30, re:budget, URLs) is part of the title
+const TODO_EXTENSION_PATTERN = /^(due|t|rec|h|pri|id|pid|uid):\S+$/i;
+
+// (D) and beyond count as Low
+const todoPriority = (letter) => Math.max(0, TODO_PRIORITY_LETTERS.indexOf(letter.toUpperCase()));
+
+const isoDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+const parseTodoDate = (date) => new Date(`${date}T00:00:00`).getTime();
+
+// Subtasks are flattened; todo.txt has no nesting. A completed task's line can't start with (A), so its priority
+// goes in the common pri: extension instead.
+const serializeTodoTxt = (tasks) => flattenTasks(tasks).map(({ task }) => [
+    task.completed ? 'x' : null,
+    task.completed && task.completedAt ? isoDate(task.completedAt) : null,
+    task.completed ? null : `(${TODO_PRIORITY_LETTERS[task.priority]})`,
+    task.createdAt ? isoDate(task.createdAt) : null,
+    task.text.replace(/\s+/g, ' '),
+    ...task.tags.map(tag => `+${tag.replace(/\s+/g, '_')}`),
+    task.dueDate ? `due:${task.dueDate}` : null,
+    task.completed ? `pri:${TODO_PRIORITY_LETTERS[task.priority]}` : null,
+].filter(Boolean).join(' ')).join('\n');
+
+const parseTodoTxt = (content) => content.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+    let rest = line;
+    let completed = false;
+    let priority = 1;
+    let createdAt;
+    let completedAt;
+
+    if (/^x\s/.test(rest)) {
+        completed = true;
+        rest = rest.slice(2);
+        const completedMatch = rest.match(/^(\d{4}-\d{2}-\d{2})\s+/);
+        if (completedMatch) {
+            completedAt = parseTodoDate(completedMatch[1]);
+            rest = rest.slice(completedMatch[0].length);
+        }
+    }
+    const priorityMatch = rest.match(/^\(([A-Z])\)\s+/);
+    if (priorityMatch) {
+        priority = todoPriority(priorityMatch[1]);
+        rest = rest.slice(priorityMatch[0].length);
+    }
+    const createdMatch = rest.match(/^(\d{4}-\d{2}-\d{2})\s+/);
+    if (createdMatch) {
+        createdAt = parseTodoDate(createdMatch[1]);
+        rest = rest.slice(createdMatch[0].length);
+    }
+
+    const words = rest.split(/\s+/);
+    const tags = words.filter(word => /^[+@]\S+/.test(word)).map(word => word.slice(1));
+    const dueWord = words.find(word => /^due:/i.test(word));
+    const priorityWord = words.find(word => /^pri:[A-Z]$/i.test(word));
+    if (priorityWord && !priorityMatch) priority = todoPriority(priorityWord.slice(4));
+    const text = words.filter(word => !/^[+@]\S+/.test(word) && !TODO_EXTENSION_PATTERN.test(word)).join(' ');
+
+    return createTask(text || rest, {
+        completed,
+        priority,
+        tags: [...new Set(tags)],
+        dueDate: dueWord ? parseDate(dueWord.slice(4)) : null,
+        ...(createdAt ? { createdAt } : {}),
+        ...(completedAt ? { completedAt } : {}),
+    });
+});
+
+// --- iCalendar VTODO --------------------------------------------------------
+
+// iCalendar PRIORITY: 1–4 high, 5 medium, 6–9 low, 0 undefined
+const ICAL_PRIORITIES = [9, 5, 1];
+
+const icalEscape = (text) => text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icalUnescape = (text) => text.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+const icalTimestamp = (timestamp) => new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const utf8 = new TextEncoder();
+const ICAL_LINE_OCTETS = 75;
+
+// Fold lines longer than 75 UTF-8 octets, as RFC 5545 requires, only between characters so emoji and CJK text
+// survive. Continuation lines start with a space, which counts towards their 75.
+const foldLine = (line) => {
+    const folded = [''];
+    let octets = 0;
+    Array.from(line).forEach(char => {
+        const size = utf8.encode(char).length;
+        if (octets + size > ICAL_LINE_OCTETS) {
+            folded.push(' ');
+            octets = 1;
+        }
+        folded[folded.length - 1] += char;
+        octets += size;
+    });
+    return folded.join('\r\n');
+};
+
+const serializeIcal = (tasks) => {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Holograms//Holographic Task Manager//EN'];
+    flattenTasks(tasks).forEach(({ task, parentId }) => {
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:${task.id}`,
+            `DTSTAMP:${icalTimestamp(Date.now())}`,
+            `SUMMARY:${icalEscape(task.text)}`,
+            `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+            `PRIORITY:${ICAL_PRIORITIES[task.priority]}`
+        );
+        if (task.createdAt) lines.push(`CREATED:${icalTimestamp(task.createdAt)}`);
+        if (task.completed && task.completedAt) lines.push(`COMPLETED:${icalTimestamp(task.completedAt)}`);
+        if (task.dueDate) lines.push(`DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`);
+        if (task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(icalEscape).join(',')}`);
+        if (task.notes) lines.push(`DESCRIPTION:${icalEscape(task.notes)}`);
+        if (parentId) lines.push(`RELATED-TO;RELTYPE=PARENT:${parentId}`);
+        lines.push('END:VTODO');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n');
+};
+
+// Parse an iCalendar timestamp (UTC or floating) to epoch ms
+const parseIcalTimestamp = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/);
+    if (!match) return undefined;
+    const [, y, mo, d, h = '00', mi = '00', s = '00', utc] = match;
+    const iso = `${y}-${mo}-${d}T${h}:${mi}:${s}${utc ? 'Z' : ''}`;
+    const time = new Date(iso).getTime();
+    return Number.isNaN(time) ? undefined : time;
+};
+
+const parseIcal = (content) => {
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/); // Unfold continuation lines
+    const records = [];
+    let current = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VTODO') { current = { properties: {} }; return; }
+        if (line === 'END:VTODO') { if (current) records.push(current); current = null; return; }
+        if (!current) return;
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const [name, ...params] = line.slice(0, separator).split(';');
+        current.properties[name.toUpperCase()] = { value: line.slice(separator + 1), params };
+    });
+
+    return nestByParent(records.map(({ properties }) => {
+        const value = (name) => (properties[name] ? properties[name].value : undefined);
+        const icalPriority = parseInt(value('PRIORITY'), 10);
+        const priority = !icalPriority ? 1 : icalPriority <= 4 ? 2 : icalPriority === 5 ? 1 : 0;
+        const createdAt = value('CREATED') && parseIcalTimestamp(value('CREATED'));
+        const completedAt = value('COMPLETED') && parseIcalTimestamp(value('COMPLETED'));
+        return {
+            parentId: value('RELATED-TO') || null,
+            task: createTask(icalUnescape(value('SUMMARY') || '').trim(), {
+                ...(value('UID') ? { id: value('UID') } : {}),
+                completed: value('STATUS') === 'COMPLETED' || !!value('COMPLETED'),
+                priority,
+                dueDate: parseDate(value('DUE')),
+                tags: value('CATEGORIES') ? value('CATEGORIES').split(/(?<!\\),/).map(icalUnescape).map(tag => tag.trim()).filter(Boolean) : [],
+                notes: value('DESCRIPTION') ? icalUnescape(value('DESCRIPTION')) : '',
+                ...(createdAt ? { createdAt } : {}),
+                ...(completedAt ? { completedAt } : {}),
+            }),
+        };
+    }).filter(({ task }) => task.text !== ''));
+};
+
+// --- Public API -------------------------------------------------------------
+
+const serializers = { json: serializeJson, csv: serializeCsv, todotxt: serializeTodoTxt, ical: serializeIcal };
+const parsers = { json: parseJson, csv: parseCsv, todotxt: parseTodoTxt, ical: parseIcal };
+
+export const exportTasks = (tasks, formatId) => serializers[formatId](tasks);
+
+// Work out a file's format from its name, falling back to sniffing the content
+export const detectFormat = (fileName, content) => {
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'ics' || extension === 'ical') return 'ical';
+    if (/^\s*[[{]/.test(content)) return 'json';
+    if (/BEGIN:VCALENDAR/.test(content)) return 'ical';
+    return 'todotxt';
+};
+
+export const importTasks = (content, formatId) => parsers[formatId](content);
+
+// Compare imported tasks with the current board. Each top-level import is flagged as a duplicate when its
+// id (UID) or its normalized text already exists anywhere in `existingTasks`.
+export const buildImportPreview = (importedTasks, existingTasks) => {
+    const existing = flattenTasks(existingTasks).map(({ task }) => task);
+    const ids = new Set(existing.map(task => task.id));
+    const texts = new Set(existing.map(task => task.text.trim().toLowerCase()));
+    return importedTasks.map(task => {
+        const duplicateOf = ids.has(task.id) ? 'uid' : texts.has(task.text.trim().toLowerCase()) ? 'text' : null;
+        return { task, duplicateOf, selected: duplicateOf === null };
+    });
+};
+
+// Give every task in a subtree a fresh id where its id is already taken
+const withUniqueIds = (task, takenIds) => {
+    const id = takenIds.has(task.id) ? createTask('').id : task.id;
+    takenIds.add(id);
+    return { ...task, id, subtasks: task.subtasks.map(subtask => withUniqueIds(subtask, takenIds)) };
+};
+
+// Append the selected preview entries to `existingTasks` without touching existing tasks
+export const mergeImportedTasks = (existingTasks, previewEntries) => {
+    const takenIds = new Set(flattenTasks(existingTasks).map(({ task }) => task.id));
+    const additions = previewEntries
+        .filter(entry => entry.selected)
+        .map(entry => withUniqueIds(entry.task, takenIds));
+    return [...existingTasks, ...additions];
+};
+
+// Trigger a browser download of `content`
+export const downloadFile = (fileName, content, mime) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+
+// Direct manipulation of task holograms: hover highlighting, click to toggle, drag to move on a horizontal
+// constraint plane (crossing into another priority zone changes priority) and right-click context menus.
+
+export const GROUND_SIZE = 50; // Width and depth of a board's ground plane
+const DRAG_THRESHOLD_PX = 4; // Pointer travel before a press counts as a drag rather than a click
+
+// Low/Medium/High bands across the X axis of the ground grid
+export const PRIORITY_ZONES = [
+    { priority: 0, label: 'LOW', minX: -GROUND_SIZE / 2, maxX: -GROUND_SIZE / 6, color: 0x3b82f6 },
+    { priority: 1, label: 'MEDIUM', minX: -GROUND_SIZE / 6, maxX: GROUND_SIZE / 6, color: 0xeab308 },
+    { priority: 2, label: 'HIGH', minX: GROUND_SIZE / 6, maxX: GROUND_SIZE / 2, color: 0xef4444 },
+];
+
+// Zone under an X coordinate; positions past the grid edge belong to the outermost zone
+export const zoneAt = (x) => PRIORITY_ZONES.find(zone => x < zone.maxX) || PRIORITY_ZONES[PRIORITY_ZONES.length - 1];
+
+// Flat text label on a canvas texture, laid on the ground
+const createZoneLabel = (text, color) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 40px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true, depthWrite: false });
+    const label = new THREE.Mesh(new THREE.PlaneGeometry(6, 1.5), material);
+    label.rotation.x = -Math.PI / 2;
+    return label;
+};
+
+// Tinted ground bands with labels marking the priority zones
+export const createPriorityZones = () => {
+    const group = new THREE.Group();
+    group.userData.isZone = true;
+    PRIORITY_ZONES.forEach(zone => {
+        const width = zone.maxX - zone.minX;
+        const band = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, GROUND_SIZE),
+            new THREE.MeshBasicMaterial({ color: zone.color, transparent: true, opacity: 0.06, depthWrite: false, side: THREE.DoubleSide })
+        );
+        band.rotation.x = -Math.PI / 2;
+        band.position.set(zone.minX + width / 2, 0.01, 0); // Just above the ground plane to avoid z-fighting
+        group.add(band);
+
+        const label = createZoneLabel(zone.label, zone.color);
+        label.position.set(zone.minX + width / 2, 0.02, GROUND_SIZE / 2 - 2);
+        group.add(label);
+    });
+    return group;
+};
+
+// Attach pointer handling to `element` (the element containing the canvas). Events that start on overlays
+// inside it, rather than on `canvas`, are left alone.
+// Callbacks: onHover(taskId | null, clientX, clientY), onToggle(taskId), onDragEnd(taskId, {x, y, z}, fromZone, toZone),
+// onContextMenu(taskId, clientX, clientY), canDrag(taskId) -> boolean.
+// getDragBounds() -> { minZ, maxZ } limits dragging along Z, so holograms can be carried onto other boards.
+export const createHologramInteraction = ({
+    element,
+    canvas,
+    camera,
+    scene,
+    controls,
+    reconciler,
+    callbacks,
+    getDragBounds = () => ({ minZ: -GROUND_SIZE / 2, maxZ: GROUND_SIZE / 2 }),
+}) => {
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const dragPlane = new THREE.Plane();
+    const dragOffset = new THREE.Vector3();
+    const dragPosition = new THREE.Vector3();
+    const hit = new THREE.Vector3();
+    let press = null; // { taskId, mesh, clientX, clientY, hasMoved, isDragging, startZone } between pointerdown and pointerup
+    let hoveredId = null;
+
+    // Raycast from the pointer and return the first task mesh hit, or null
+    const pickTask = (event) => {
+        const rect = element.getBoundingClientRect();
+        pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        raycaster.setFromCamera(pointer, camera);
+        const intersection = raycaster.intersectObjects(scene.children)
+            .find(({ object }) => object.userData.isTask && object.userData.taskId && object.visible); // Search can hide holograms
+        return intersection ? intersection.object : null;
+    };
+
+    const setHovered = (taskId, event) => {
+        if (taskId === hoveredId) return;
+        hoveredId = taskId;
+        reconciler.setHovered(taskId);
+        element.style.cursor = taskId ? 'pointer' : '';
+        callbacks.onHover(taskId, event.clientX, event.clientY);
+    };
+
+    // Capture phase, so OrbitControls is already disabled when its own pointerdown handler runs
+    const onPointerDown = (event) => {
+        if (event.target !== canvas) return;
+        const mesh = pickTask(event);
+        if (!mesh) return;
+        controls.enabled = false; // Pressing a hologram never rotates or pans the camera
+        if (event.button !== 0) return;
+
+        const taskId = mesh.userData.taskId;
+        // Drag along the horizontal plane at the hologram's height, keeping the grab point under the pointer
+        dragPlane.set(new THREE.Vector3(0, 1, 0), -mesh.position.y);
+        if (raycaster.ray.intersectPlane(dragPlane, hit)) dragOffset.copy(mesh.position).sub(hit);
+        else dragOffset.set(0, 0, 0);
+        press = { taskId, mesh, clientX: event.clientX, clientY: event.clientY, hasMoved: false, isDragging: false, startZone: zoneAt(mesh.position.x) };
+        element.setPointerCapture(event.pointerId); // Keep receiving moves if the pointer leaves the canvas
+    };
+
+    const onPointerMove = (event) => {
+        if (!press) {
+            const mesh = event.target === canvas ? pickTask(event) : null;
+            setHovered(mesh ? mesh.userData.taskId : null, event);
+            return;
+        }
+        if (!press.isDragging) {
+            if (press.hasMoved) return; // A refused drag stays refused for the rest of the press
+            const travel = Math.hypot(event.clientX - press.clientX, event.clientY - press.clientY);
+            if (travel < DRAG_THRESHOLD_PX) return;
+            press.hasMoved = true; // Past the threshold this press is no longer a click, dragged or not
+            if (!callbacks.canDrag(press.taskId)) {
+                controls.enabled = true; // Hand the camera back while the hologram stays put
+                return;
+            }
+            press.isDragging = true;
+            setHovered(null, event); // Hide the tooltip while dragging
+            element.style.cursor = 'grabbing';
+        }
+        pickTask(event); // Updates the raycaster for the current pointer position
+        if (raycaster.ray.intersectPlane(dragPlane, hit)) {
+            dragPosition.copy(hit).add(dragOffset);
+            const { minZ, maxZ } = getDragBounds();
+            dragPosition.x = THREE.MathUtils.clamp(dragPosition.x, -GROUND_SIZE / 2, GROUND_SIZE / 2);
+            dragPosition.z = THREE.MathUtils.clamp(dragPosition.z, minZ, maxZ);
+            reconciler.setDragged(press.taskId, dragPosition);
+        }
+    };
+
+    const onPointerUp = (event) => {
+        controls.enabled = true;
+        if (!press) return;
+        const { taskId, hasMoved, isDragging, startZone } = press;
+        press = null;
+        element.style.cursor = '';
+
+        if (isDragging) {
+            reconciler.setDragged(null);
+            const { x, y, z } = dragPosition;
+            callbacks.onDragEnd(taskId, { x, y, z }, startZone, zoneAt(x));
+        } else if (event.button === 0 && !hasMoved) {
+            callbacks.onToggle(taskId); // A press without travel is a click
+        }
+    };
+
+    const onContextMenu = (event) => {
+        if (event.target !== canvas) return;
+        const mesh = pickTask(event);
+        if (!mesh) return;
+        event.preventDefault();
+        setHovered(null, event);
+        callbacks.onContextMenu(mesh.userData.taskId, event.clientX, event.clientY);
+    };
+
+    const onPointerLeave = (event) => {
+        if (!press) setHovered(null, event);
+    };
+
+    element.addEventListener('pointerdown', onPointerDown, true);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerleave', onPointerLeave);
+    element.addEventListener('contextmenu', onContextMenu);
+    window.addEventListener('pointerup', onPointerUp); // Released outside the canvas still ends the drag
+
+    const dispose = () => {
+        element.removeEventListener('pointerdown', onPointerDown, true);
+        element.removeEventListener('pointermove', onPointerMove);
+        element.removeEventListener('pointerleave', onPointerLeave);
+        element.removeEventListener('contextmenu', onContextMenu);
+        window.removeEventListener('pointerup', onPointerUp);
+    };
+
+    return { dispose };
+};
@@ -0,0 +1,134 @@
+// Spatial layout strategies for task holograms.
+// Each strategy maps the task list onto X/Y/Z positions so that where a hologram sits says something about the task.
+
+const BASE_HEIGHT = 1.5; // Keep text comfortably above the ground plane (y = 0)
+const COLUMN_SPACING = 5;
+const ROW_SPACING = 2;
+const DEPTH_SPACING = 3;
+const MAX_ROWS = 6; // Rows per layer before the grid grows back along Z
+
+// Lay out items in a centered grid that stacks upward and then backward, never below the ground
+const gridPositions = (count, { columns, originX = 0, originY = BASE_HEIGHT, originZ = 0 } = {}) => {
+    const cols = columns || Math.max(3, Math.ceil(Math.sqrt(count)));
+    return Array.from({ length: count }, (_, index) => {
+        const col = index % cols;
+        const row = Math.floor(index / cols);
+        return {
+            x: originX + (col - (cols - 1) / 2) * COLUMN_SPACING,
+            y: originY + (row % MAX_ROWS) * ROW_SPACING,
+            z: originZ - Math.floor(row / MAX_ROWS) * DEPTH_SPACING,
+        };
+    });
+};
+
+// Timestamp a task is placed by on the time axis, falling back to creation time; null when it has neither
+const taskTime = (task, field) => {
+    const value = task[field] ?? task.createdAt;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+};
+
+const TIMELINE_ROWS = 8; // Depth rows between z = -20 and z = 4
+
+// Place tasks along Z by a time field, oldest furthest back; tasks without any time count as the oldest.
+// Z snaps to rows DEPTH_SPACING apart, and tasks sharing a row fill it side by side and then upward, so none overlap.
+// A row is at least 3 columns wide and widens as needed to stay within MAX_ROWS levels.
+const timelineLayout = (field) => (tasks) => {
+    const knownTimes = tasks.map(task => taskTime(task, field));
+    const min = Math.min(...knownTimes.filter(time => time !== null), Infinity);
+    const times = knownTimes.map(time => time ?? (min === Infinity ? 0 : min));
+    const start = Math.min(...times);
+    const span = Math.max(...times) - start || 1;
+    const rows = times.map(time => Math.round(((time - start) / span) * TIMELINE_ROWS));
+    const rowSizes = new Map(); // row -> number of tasks in it
+    rows.forEach(row => rowSizes.set(row, (rowSizes.get(row) || 0) + 1));
+    const slotsUsed = new Map(); // row -> tasks placed in it so far
+    const positions = new Array(tasks.length);
+    tasks.map((_, index) => index)
+        .sort((a, b) => (times[a] - times[b]) || (a - b))
+        .forEach(index => {
+            const row = rows[index];
+            const columns = Math.max(3, Math.ceil(rowSizes.get(row) / MAX_ROWS));
+            const slot = slotsUsed.get(row) || 0;
+            slotsUsed.set(row, slot + 1);
+            positions[index] = {
+                x: ((slot % columns) - (columns - 1) / 2) * COLUMN_SPACING,
+                y: BASE_HEIGHT + Math.floor(slot / columns) * ROW_SPACING,
+                z: -20 + row * DEPTH_SPACING,
+            };
+        });
+    return positions;
+};
+
+const strategies = {
+    // Collision-free grid, suited to any number of tasks
+    grid: (tasks) => gridPositions(tasks.length),
+
+    // Priority on Y: High floats highest, each priority level is its own shelf
+    priority: (tasks) => {
+        const positions = new Array(tasks.length);
+        [0, 1, 2].forEach(priority => {
+            const indices = tasks.map((_, index) => index).filter(index => tasks[index].priority === priority);
+            const columns = Math.min(6, indices.length);
+            // Shelves are a single row; overflow goes back along Z instead of into the shelf above
+            indices.forEach((taskIndex, i) => {
+                positions[taskIndex] = {
+                    x: ((i % 6) - (columns - 1) / 2) * COLUMN_SPACING,
+                    y: BASE_HEIGHT + priority * 4,
+                    z: -Math.floor(i / 6) * DEPTH_SPACING,
+                };
+            });
+        });
+        return positions;
+    },
+
+    // Creation time on Z
+    created: timelineLayout('createdAt'),
+
+    // Due time on Z; tasks without a due date fall back to creation time
+    due: timelineLayout('dueDate'),
+
+    // Open and completed tasks gather in separate clusters
+    status: (tasks) => {
+        const positions = new Array(tasks.length);
+        [false, true].forEach(completed => {
+            const indices = tasks.map((_, index) => index).filter(index => !!tasks[index].completed === completed);
+            const cluster = gridPositions(indices.length, { columns: 3, originX: completed ? 9 : -9 });
+            indices.forEach((taskIndex, i) => { positions[taskIndex] = cluster[i]; });
+        });
+        return positions;
+    },
+
+    // Golden-angle spiral on a horizontal plane; spacing stays even however many tasks there are
+    spiral: (tasks) => {
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+        return tasks.map((_, index) => {
+            const radius = 2.5 * Math.sqrt(index + 1);
+            const angle = index * goldenAngle;
+            return {
+                x: Math.cos(angle) * radius,
+                y: BASE_HEIGHT + (index % 2) * 0.5,
+                z: Math.sin(angle) * radius,
+            };
+        });
+    },
+};
+
+// Strategies offered in the UI, in display order
+export const LAYOUT_STRATEGIES = [
+    { id: 'grid', label: 'Grid' },
+    { id: 'priority', label: 'Priority (Y)' },
+    { id: 'created', label: 'Created time (Z)' },
+    { id: 'due', label: 'Due time (Z)' },
+    { id: 'status', label: 'Status clusters' },
+    { id: 'spiral', label: 'Spiral' },
+];
+
+export const DEFAULT_LAYOUT = 'grid';
+
+// Compute target positions for every task, keyed by task id. Tasks the user placed by hand keep their position.
+export const computeLayout = (strategyId, tasks) => {
+    const strategy = strategies[strategyId] || strategies[DEFAULT_LAYOUT];
+    const positions = strategy(tasks);
+    return new Map(tasks.map((task, index) => [task.id, task.position || positions[index]]));
+};
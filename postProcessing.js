@@ -0,0 +1,41 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+// Bloom post-processing for the hologram glow. render() falls back to a plain render while bloom is off.
+export const createBloomPipeline = (renderer, scene, camera) => {
+    const size = renderer.getSize(new THREE.Vector2());
+    const composer = new EffectComposer(renderer);
+    const bloomPass = new UnrealBloomPass(size.clone(), 0.8, 0.4, 0.2); // Strength, radius, luminance threshold
+    composer.addPass(new RenderPass(scene, camera));
+    composer.addPass(bloomPass);
+    composer.addPass(new OutputPass());
+    let isEnabled = true;
+
+    const render = () => {
+        if (isEnabled) composer.render();
+        else renderer.render(scene, camera);
+    };
+
+    // Bloom strength follows the effect intensity; 0 turns the pass off
+    const setBloom = (enabled, strength) => {
+        isEnabled = enabled && strength > 0;
+        bloomPass.strength = strength;
+    };
+
+    // Keep the composer's buffers in step with the renderer after a resize or pixel ratio change
+    const syncSize = () => {
+        renderer.getSize(size);
+        composer.setPixelRatio(renderer.getPixelRatio());
+        composer.setSize(size.x, size.y);
+    };
+
+    const dispose = () => {
+        bloomPass.dispose();
+        composer.dispose();
+    };
+
+    return { render, setBloom, syncSize, dispose };
+};
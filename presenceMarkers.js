@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+
+// Other users' cameras in the scene: a small cone at each remote camera, pointing where it looks, with the user's
+// name above it. Markers are not task holograms, so hover and drag ignore them.
+
+const createNameLabel = (name, color) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 32px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = color;
+    context.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthWrite: false }));
+    sprite.scale.set(4, 1, 1);
+    sprite.position.set(0, 1.4, 0);
+    return sprite;
+};
+
+const createMarker = (color) => {
+    const group = new THREE.Group();
+    const geometry = new THREE.ConeGeometry(0.5, 1.2, 4);
+    geometry.rotateX(Math.PI / 2); // Tip along +Z, which lookAt() turns towards the target
+    group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: new THREE.Color(color), wireframe: true })));
+    return group;
+};
+
+const disposeMarker = (group) => {
+    group.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+};
+
+// sync() takes the peers from useTaskSync: [{ clientId, presence: { name, color, camera } }]
+export const createPresenceMarkers = (scene) => {
+    const markers = new Map(); // clientId -> { group, label, labelKey }
+
+    const sync = (peers) => {
+        const seen = new Set();
+        peers.forEach(({ clientId, presence }) => {
+            if (!presence || !presence.camera) return;
+            seen.add(clientId);
+            let marker = markers.get(clientId);
+            if (!marker) {
+                marker = { group: createMarker(presence.color), label: null, labelKey: null };
+                markers.set(clientId, marker);
+                scene.add(marker.group);
+            }
+            const labelKey = `${presence.name}|${presence.color}`;
+            if (labelKey !== marker.labelKey) {
+                if (marker.label) {
+                    marker.group.remove(marker.label);
+                    disposeMarker(marker.label);
+                }
+                marker.label = createNameLabel(presence.name, presence.color);
+                marker.group.add(marker.label);
+                marker.labelKey = labelKey;
+            }
+            marker.group.position.fromArray(presence.camera.position);
+            marker.group.lookAt(new THREE.Vector3().fromArray(presence.camera.target));
+        });
+
+        markers.forEach((marker, clientId) => {
+            if (seen.has(clientId)) return;
+            scene.remove(marker.group);
+            disposeMarker(marker.group);
+            markers.delete(clientId);
+        });
+    };
+
+    const dispose = () => {
+        markers.forEach(marker => {
+            scene.remove(marker.group);
+            disposeMarker(marker.group);
+        });
+        markers.clear();
+    };
+
+    return { sync, dispose };
+};
@@ -0,0 +1,30 @@
+// Search queries the user saved for reuse. They are personal rather than shared through sync, so each display
+// name (see the sync settings) gets its own list on this device.
+
+const SAVED_FILTERS_KEY = 'holograms.filters';
+const LOCAL_USER = ''; // Used until a display name is set
+
+const loadAll = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SAVED_FILTERS_KEY));
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (error) {
+        return {};
+    }
+};
+
+const userKey = (userName) => (userName || LOCAL_USER).trim().toLowerCase();
+
+// List of query strings saved by `userName`
+export const loadSavedFilters = (userName) => {
+    const filters = loadAll()[userKey(userName)];
+    return Array.isArray(filters) ? filters.filter(query => typeof query === 'string') : [];
+};
+
+export const saveSavedFilters = (userName, filters) => {
+    try {
+        window.localStorage.setItem(SAVED_FILTERS_KEY, JSON.stringify({ ...loadAll(), [userKey(userName)]: filters }));
+    } catch (error) {
+        console.error("Error saving filters:", error);
+    }
+};
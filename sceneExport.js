@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { flattenTasks } from './tasks.js';
+import { toStandardMaterial } from './hologramMaterial.js';
+
+// Export of the holographic scene: task holograms as glTF/GLB, and PNG snapshots of the camera view.
+
+export const SNAPSHOT_SIZES = [
+    { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+    { id: '1440p', label: '2560 × 1440', width: 2560, height: 1440 },
+    { id: '4k', label: '3840 × 2160', width: 3840, height: 2160 },
+    { id: 'square', label: '2048 × 2048', width: 2048, height: 2048 },
+];
+
+// Copy the task holograms (and nothing else: no lights, ground plane or debug helpers) into a fresh group.
+// Each node carries the task's id and metadata in userData, which GLTFExporter writes to `extras`. glTF can't hold
+// the hologram shader, so nodes get a standard material in the same colour.
+const collectTaskHolograms = (scene, tasks) => {
+    const nodes = new Map(flattenTasks(tasks).map(node => [node.task.id, node]));
+    const group = new THREE.Group();
+    group.name = 'Holographic Tasks';
+
+    scene.children.forEach(child => {
+        if (!child.isMesh || !child.userData.isTask) return;
+        const node = nodes.get(child.userData.taskId);
+        if (!node) return;
+        const { task, parentId } = node;
+
+        const mesh = new THREE.Mesh(child.geometry, toStandardMaterial(child.material));
+        mesh.position.copy(child.position);
+        mesh.rotation.copy(child.rotation);
+        mesh.scale.copy(child.scale);
+        mesh.name = task.text;
+        mesh.userData = {
+            taskId: task.id,
+            parentId: parentId,
+            boardId: task.boardId,
+            text: task.text,
+            completed: task.completed,
+            priority: task.priority,
+            createdAt: task.createdAt,
+            completedAt: task.completedAt,
+            dueDate: task.dueDate,
+            tags: task.tags,
+            notes: task.notes,
+        };
+        group.add(mesh);
+    });
+    return group;
+};
+
+// Serialize the task holograms. Resolves with an ArrayBuffer for GLB, or a JSON string for glTF.
+export const exportSceneAsGltf = async (scene, tasks, { binary = true } = {}) => {
+    const group = collectTaskHolograms(scene, tasks);
+    try {
+        const result = await new GLTFExporter().parseAsync(group, { binary });
+        return binary ? result : JSON.stringify(result, null, 2);
+    } finally {
+        group.children.forEach(mesh => mesh.material.dispose()); // The standard materials were made for this export
+    }
+};
+
+// Render the current camera view at `width` × `height` and resolve with a PNG blob.
+// The renderer is resized for the capture and restored before the browser paints again. Pass the live view's
+// bloom pipeline (from createBloomPipeline) so the snapshot gets the same glow and output pass.
+export const captureSnapshot = (renderer, scene, camera, { width, height }, bloom = null) => {
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const scale = Math.min(1, maxSize / Math.max(width, height)); // Stay within what the GPU can draw
+    const targetWidth = Math.floor(width * scale);
+    const targetHeight = Math.floor(height * scale);
+
+    const originalSize = renderer.getSize(new THREE.Vector2());
+    const originalPixelRatio = renderer.getPixelRatio();
+    const originalAspect = camera.aspect;
+    const render = () => {
+        if (!bloom) {
+            renderer.render(scene, camera);
+            return;
+        }
+        bloom.syncSize(); // The composer's buffers follow the renderer's current size
+        bloom.render();
+    };
+
+    let dataUrl;
+    try {
+        renderer.setPixelRatio(1);
+        renderer.setSize(targetWidth, targetHeight, false); // Keep the canvas's CSS size, so the page doesn't reflow
+        camera.aspect = targetWidth / targetHeight;
+        camera.updateProjectionMatrix();
+        render();
+        dataUrl = renderer.domElement.toDataURL('image/png'); // Read back before the drawing buffer is cleared
+    } finally {
+        renderer.setPixelRatio(originalPixelRatio);
+        renderer.setSize(originalSize.x, originalSize.y, false);
+        camera.aspect = originalAspect;
+        camera.updateProjectionMatrix();
+        render();
+    }
+    return fetch(dataUrl).then(response => response.blob());
+};
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+import { subtaskProgress, isOverdue } from './tasks.js';
+
+// Keyboard access to the 3D scene: moving focus between holograms by where they appear on screen, camera moves,
+// and the spoken description of a hologram used by the live region and the offscreen tree.
+
+const DIRECTIONS = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+const ROW_TOLERANCE = 0.08; // Holograms within this much screen height count as one row for reading order
+
+const projected = new THREE.Vector3();
+
+// Screen positions ({ id, x, y } with x right and y down, -1..1) of the holograms in front of the camera.
+// `holograms` is [{ id, position }] in world space.
+export const projectHolograms = (holograms, camera) => holograms.flatMap(({ id, position }) => {
+    projected.copy(position).project(camera);
+    if (projected.z < -1 || projected.z > 1 || Math.abs(projected.x) > 1 || Math.abs(projected.y) > 1) return [];
+    return [{ id, x: projected.x, y: -projected.y }];
+});
+
+// Top-to-bottom rows, left to right within a row
+export const readingOrder = (items) => [...items].sort((a, b) => (
+    Math.abs(a.y - b.y) > ROW_TOLERANCE ? a.y - b.y : a.x - b.x
+));
+
+// The closest item in `direction` ('left' | 'right' | 'up' | 'down') from the item with `fromId`, favouring items
+// in line with it. Without a current item, the first in reading order; stays put when nothing lies that way.
+export const nextInDirection = (items, fromId, direction) => {
+    const from = items.find(item => item.id === fromId);
+    if (!from) return items.length > 0 ? readingOrder(items)[0].id : null;
+    const [dx, dy] = DIRECTIONS[direction];
+    let best = null;
+    let bestScore = Infinity;
+    items.forEach(item => {
+        if (item.id === fromId) return;
+        const vx = item.x - from.x;
+        const vy = item.y - from.y;
+        const along = vx * dx + vy * dy;
+        if (along <= 0) return;
+        const across = Math.abs(vx * dy - vy * dx);
+        const score = along + across * 2;
+        if (score < bestScore) {
+            bestScore = score;
+            best = item;
+        }
+    });
+    return best ? best.id : fromId;
+};
+
+const spherical = new THREE.Spherical();
+const offset = new THREE.Vector3();
+
+// Orbit the camera around the OrbitControls target: `rotate` and `tilt` in radians, `zoom` as a distance factor.
+// Respects the same limits as mouse control.
+export const orbitCamera = (camera, controls, { rotate = 0, tilt = 0, zoom = 1 }) => {
+    offset.copy(camera.position).sub(controls.target);
+    spherical.setFromVector3(offset);
+    spherical.theta += rotate;
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi + tilt, 0.05, controls.maxPolarAngle);
+    spherical.radius = THREE.MathUtils.clamp(spherical.radius * zoom, controls.minDistance, controls.maxDistance);
+    camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+    controls.update();
+};
+
+// Slide the camera and its target along the ground, relative to where the camera faces
+export const panCamera = (camera, controls, { right = 0, forward = 0 }) => {
+    const facing = new THREE.Vector3().subVectors(controls.target, camera.position).setY(0).normalize();
+    const side = new THREE.Vector3().crossVectors(facing, camera.up).normalize();
+    const delta = facing.multiplyScalar(forward).addScaledVector(side, right);
+    camera.position.add(delta);
+    controls.target.add(delta);
+    controls.update();
+};
+
+const PRIORITY_LABELS = ['low', 'medium', 'high'];
+
+// One sentence describing a task, for screen readers
+export const describeTask = (task, now) => {
+    const progress = subtaskProgress(task);
+    return [
+        task.text,
+        `${PRIORITY_LABELS[task.priority]} priority`,
+        task.completed ? 'completed' : isOverdue(task, now) ? 'overdue' : 'open',
+        task.dueDate && `due ${task.dueDate}`,
+        task.tags.length > 0 && `tagged ${task.tags.join(', ')}`,
+        progress && `${progress.done} of ${progress.total} subtasks done`,
+    ].filter(Boolean).join(', ');
+};
@@ -0,0 +1,328 @@
+import * as THREE from 'three';
+import { createHologramText } from './hologramText.js';
+import { isOverdue } from './tasks.js';
+import { createHologramUniforms, createHologramMaterial, trackHologramReveal } from './hologramMaterial.js';
+import { THEMES, DEFAULT_VISUAL_SETTINGS } from './visualSettings.js';
+
+// Keyed reconciler for task holograms.
+// Diffs the task list by id against the meshes already in the scene: geometry is only rebuilt when a task's
+// text changes, and completion/priority changes just swap to a shared cached material (see hologramMaterial.js).
+// Geometry builds are queued and worked off in time-sliced batches from the render loop, so a large board
+// never stalls a frame. Subtasks are drawn smaller and orbit their parent hologram.
+
+const LARGE_BOARD = 300; // Above this many tasks, text is built with fewer curve/bevel segments
+const SUBTASK_SCALE = 0.55; // Each nesting level is drawn at this fraction of its parent's size
+const ORBIT_SPEED = 0.3; // Radians per second
+const HOVER_SCALE = 1.15; // Hovered holograms grow slightly
+const DIMMED_OPACITY = 0.12; // Holograms outside a search highlight fade to this
+const PULSE_RATES = [1.2, 2.5, 5]; // Radians per second for low, medium and high priority open tasks
+const APPEAR_SECONDS = 0.7; // New holograms materialise over this long
+const TOGGLE_SECONDS = 1; // Completing or reopening dissolves the hologram and re-forms it in its new colour
+
+// Text geometry parameters, with a cheaper level of detail for large boards
+const textOptions = (lowDetail) => ({
+    size: 0.8,
+    height: 0.2,
+    curveSegments: lowDetail ? 4 : 12,
+    bevelEnabled: true,
+    bevelThickness: 0.03,
+    bevelSize: 0.02,
+    bevelOffset: 0,
+    bevelSegments: lowDetail ? 1 : 5
+});
+
+// Cache key for a task's own look; the search emphasis ('none' | 'glow' | 'dim') is appended to make the material key
+const baseMaterialKey = (task, now) => `${task.completed ? 'done' : 'open'}-${task.priority}-${isOverdue(task, now) ? 'late' : 'ok'}`;
+
+export const createTaskReconciler = (scene) => {
+    const entries = new Map(); // task id -> { text, baseKey, materialKey, target, orbit, scale, mesh, geometryKey, animation }
+    const geometries = new Map(); // geometry key -> { geometry, alphaMap, refs }
+    const materials = new Map(); // material key -> shared material
+    const textureMaterials = new Map(); // `${material key}|${geometry key}` -> material for canvas-rendered text
+    const pending = new Set(); // Task ids waiting for a geometry build, in insertion order
+    let fonts = null; // Font fallback chain; empty when no vector font could be loaded
+    let hoveredId = null;
+    let dragged = null; // { id, position } while the user drags a hologram
+    let highlight = null; // { matches, visible, hideOthers } while a search is active
+    let theme = THEMES[DEFAULT_VISUAL_SETTINGS.theme];
+    let motion = true; // False under reduced motion: no animations and no orbiting
+    let lastElapsed = 0;
+    let orbitTime = 0; // Seconds of orbiting so far; stands still while motion is off
+    const shared = createHologramUniforms();
+
+    // Hologram material for a completion state, priority, overdue flag and search emphasis.
+    // Open tasks take their priority's theme colour and pulse faster the higher the priority.
+    const buildMaterial = (key, alphaMap) => {
+        const [state, priority, due, emphasis] = key.split('-');
+        const color = state === 'done' ? theme.done : due === 'late' ? theme.overdue : theme.priorityColors[priority];
+        const glow = 0.8 + Number(priority) * 0.15;
+        return createHologramMaterial({
+            color,
+            opacity: emphasis === 'dim' ? DIMMED_OPACITY : emphasis === 'glow' ? 1 : 0.7,
+            glow: emphasis === 'dim' ? 0.1 : emphasis === 'glow' ? glow + 0.8 : glow,
+            pulseRate: state === 'done' ? 0 : PULSE_RATES[priority],
+            alphaMap,
+            shared,
+        });
+    };
+
+    const getMaterial = (key) => {
+        if (!materials.has(key)) materials.set(key, buildMaterial(key, null));
+        return materials.get(key);
+    };
+
+    // Material for a built mesh: the shared one, or a variant carrying the canvas text's alpha map
+    const getMeshMaterial = (key, geometryKey) => {
+        const { alphaMap } = geometries.get(geometryKey);
+        if (!alphaMap) return getMaterial(key);
+        const variantKey = `${key}|${geometryKey}`;
+        if (!textureMaterials.has(variantKey)) textureMaterials.set(variantKey, buildMaterial(key, alphaMap));
+        return textureMaterials.get(variantKey);
+    };
+
+    const disposeMaterials = () => {
+        materials.forEach(material => material.dispose());
+        materials.clear();
+        textureMaterials.forEach(material => material.dispose());
+        textureMaterials.clear();
+    };
+
+    // Reference-counted text geometry, shared between tasks with identical text
+    const acquireGeometry = (text) => {
+        const lowDetail = entries.size > LARGE_BOARD;
+        const key = `${lowDetail ? 'low' : 'high'}:${text}`;
+        let cached = geometries.get(key);
+        if (!cached) {
+            const { geometry, alphaMap } = createHologramText(text, fonts, textOptions(lowDetail));
+            cached = { geometry, alphaMap, refs: 0 };
+            geometries.set(key, cached);
+        }
+        cached.refs += 1;
+        return { key, geometry: cached.geometry };
+    };
+
+    const releaseGeometry = (key) => {
+        const cached = geometries.get(key);
+        if (!cached) return;
+        cached.refs -= 1;
+        if (cached.refs <= 0) {
+            cached.geometry.dispose();
+            if (cached.alphaMap) {
+                cached.alphaMap.dispose();
+                textureMaterials.forEach((material, variantKey) => {
+                    if (variantKey.endsWith(`|${key}`)) {
+                        material.dispose();
+                        textureMaterials.delete(variantKey);
+                    }
+                });
+            }
+            geometries.delete(key);
+        }
+    };
+
+    // Pick the material (and visibility) for an entry's look and the current search highlight. A toggle
+    // animation keeps the previous look until the hologram has dissolved.
+    const applyLook = (id, entry) => {
+        const emphasis = !highlight ? 'none' : highlight.matches.has(id) ? 'glow' : 'dim';
+        const baseKey = (entry.animation && entry.animation.previousBaseKey) || entry.baseKey;
+        const key = `${baseKey}-${emphasis}`;
+        if (entry.materialKey !== key) {
+            entry.materialKey = key;
+            if (entry.mesh) entry.mesh.material = getMeshMaterial(key, entry.geometryKey);
+        }
+        if (entry.mesh) entry.mesh.visible = !highlight || !highlight.hideOthers || highlight.visible.has(id);
+    };
+
+    const removeEntry = (id) => {
+        const entry = entries.get(id);
+        if (entry.mesh) {
+            scene.remove(entry.mesh);
+            releaseGeometry(entry.geometryKey);
+        }
+        entries.delete(id);
+        pending.delete(id);
+    };
+
+    // Diff the flattened task tree (see flattenTasks) against the scene. `layout` maps top-level task ids to
+    // {x, y, z} target positions; subtasks orbit their parent instead.
+    const reconcile = (nodes, layout, now = Date.now()) => {
+        const seen = new Set();
+        nodes.forEach(({ task, parentId, depth, siblingIndex, siblingCount }) => {
+            seen.add(task.id);
+            let entry = entries.get(task.id);
+            if (!entry) {
+                entry = { text: null, baseKey: null, materialKey: null, target: new THREE.Vector3(), orbit: null, scale: 1, mesh: null, geometryKey: null, animation: null };
+                entries.set(task.id, entry);
+            }
+            if (parentId === null) {
+                const { x, y, z } = layout.get(task.id);
+                entry.target.set(x, y, z);
+                entry.orbit = null;
+            } else {
+                entry.orbit = { parentId, phase: (siblingIndex / siblingCount) * Math.PI * 2 };
+            }
+            entry.scale = Math.pow(SUBTASK_SCALE, depth); // Applied to the mesh by update()
+
+            if (entry.text !== task.text) {
+                entry.text = task.text;
+                pending.add(task.id);
+            }
+
+            const baseKey = baseMaterialKey(task, now);
+            const wasCompleted = entry.baseKey !== null && entry.baseKey.startsWith('done');
+            if (motion && entry.mesh && wasCompleted !== task.completed) {
+                entry.animation = { kind: 'toggle', startedAt: lastElapsed, previousBaseKey: entry.baseKey };
+            }
+            entry.baseKey = baseKey;
+            applyLook(task.id, entry);
+        });
+        entries.forEach((_, id) => {
+            if (!seen.has(id)) removeEntry(id);
+        });
+    };
+
+    // Build queued geometry until `budgetMs` is spent. Called once per frame from the render loop.
+    const flush = (budgetMs) => {
+        if (!fonts || pending.size === 0) return;
+        const start = performance.now();
+        for (const id of pending) {
+            pending.delete(id);
+            const entry = entries.get(id);
+            const { key, geometry } = acquireGeometry(entry.text);
+            if (entry.mesh) {
+                releaseGeometry(entry.geometryKey);
+                entry.mesh.geometry = geometry;
+                entry.mesh.material = getMeshMaterial(entry.materialKey, key);
+            } else {
+                const mesh = new THREE.Mesh(geometry, getMeshMaterial(entry.materialKey, key));
+                // New holograms appear in place (subtasks at their parent); later moves are eased
+                const parent = entry.orbit && entries.get(entry.orbit.parentId);
+                mesh.position.copy(parent && parent.mesh ? parent.mesh.position : entry.target);
+                mesh.scale.setScalar(entry.scale);
+                mesh.castShadow = true;
+                mesh.userData.isTask = true; // Mark as a task object
+                mesh.userData.taskId = id; // Store task ID for interaction
+                mesh.userData.targetPosition = entry.target; // The animation loop eases towards this
+                trackHologramReveal(mesh, motion ? 0 : 1);
+                if (motion) entry.animation = { kind: 'appear', startedAt: lastElapsed, previousBaseKey: null };
+                entry.mesh = mesh;
+                scene.add(mesh);
+            }
+            entry.geometryKey = key;
+            applyLook(id, entry);
+            if (performance.now() - start > budgetMs) break;
+        }
+    };
+
+    // Advance an entry's appear/toggle animation by setting how much of the hologram is revealed
+    const animate = (id, entry, elapsed) => {
+        const { kind, startedAt, previousBaseKey } = entry.animation;
+        const t = Math.min(1, (elapsed - startedAt) / (kind === 'appear' ? APPEAR_SECONDS : TOGGLE_SECONDS));
+        entry.mesh.userData.reveal = kind === 'appear' ? t : Math.abs(1 - 2 * t); // Toggles dissolve out, then back in
+        if (previousBaseKey && t >= 0.5) {
+            entry.animation.previousBaseKey = null;
+            applyLook(id, entry); // Re-form in the new colour
+        }
+        if (t === 1) entry.animation = null;
+    };
+
+    // Per-frame motion: shader time, appear/toggle animations, subtasks advancing along their orbit and every
+    // hologram easing towards its target
+    const update = (elapsed, easing) => {
+        if (motion) orbitTime += elapsed - lastElapsed;
+        lastElapsed = elapsed;
+        shared.uTime.value = elapsed;
+        entries.forEach((entry, id) => {
+            if (!entry.mesh) return;
+            if (entry.animation) animate(id, entry, elapsed);
+            entry.mesh.scale.setScalar(entry.scale * (id === hoveredId ? HOVER_SCALE : 1));
+            if (dragged && dragged.id === id) {
+                entry.mesh.position.copy(dragged.position); // Follow the pointer exactly while dragging
+                return;
+            }
+            const parent = entry.orbit && entries.get(entry.orbit.parentId);
+            if (parent && parent.mesh) {
+                if (!parent.mesh.geometry.boundingSphere) parent.mesh.geometry.computeBoundingSphere();
+                // Orbit just outside the parent's text, on a slightly tilted ring
+                const radius = parent.mesh.geometry.boundingSphere.radius * parent.scale + 1;
+                const angle = entry.orbit.phase + orbitTime * ORBIT_SPEED;
+                entry.target.set(
+                    parent.mesh.position.x + Math.cos(angle) * radius,
+                    parent.mesh.position.y + Math.sin(angle) * 0.6,
+                    parent.mesh.position.z + Math.sin(angle) * radius
+                );
+            }
+            entry.mesh.position.lerp(entry.target, easing);
+        });
+    };
+
+    // Highlight one hologram (null to clear)
+    const setHovered = (id) => {
+        hoveredId = id;
+    };
+
+    // Make `matches` (a Set of task ids) glow and fade the rest, or hide every hologram outside `visible` when
+    // `hideOthers` is set. Pass null to clear.
+    const setHighlight = (next) => {
+        highlight = next;
+        entries.forEach((entry, id) => applyLook(id, entry));
+    };
+
+    // Current world position of a task's hologram, or null if it isn't in the scene
+    const getPosition = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return null;
+        return (entry.mesh ? entry.mesh.position : entry.target).clone();
+    };
+
+    // The hologram mesh for a task, or null until its geometry is built
+    const getMesh = (id) => {
+        const entry = entries.get(id);
+        return entry ? entry.mesh : null;
+    };
+
+    // Pin a hologram to `position` while it is dragged; pass null to release it back to its target
+    const setDragged = (id, position) => {
+        dragged = id === null ? null : { id, position };
+    };
+
+    // Recolour every hologram with a theme from visualSettings.js
+    const setTheme = (nextTheme) => {
+        if (nextTheme === theme) return;
+        theme = nextTheme;
+        disposeMaterials();
+        entries.forEach(entry => {
+            if (entry.mesh) entry.mesh.material = getMeshMaterial(entry.materialKey, entry.geometryKey);
+        });
+    };
+
+    // Effect intensity (0-2) and reduced motion, which stops pulse, flicker, orbits and animations
+    const setEffects = ({ intensity, reducedMotion }) => {
+        shared.uIntensity.value = intensity;
+        shared.uMotion.value = reducedMotion ? 0 : 1;
+        motion = !reducedMotion;
+        if (reducedMotion) {
+            entries.forEach((entry, id) => {
+                if (!entry.animation) return;
+                entry.animation = null;
+                entry.mesh.userData.reveal = 1;
+                applyLook(id, entry);
+            });
+        }
+    };
+
+    // Start building with the loaded font chain (pass [] to render everything via the canvas path)
+    const setFonts = (loadedFonts) => {
+        fonts = loadedFonts;
+    };
+
+    // True while geometry is still being built (or waiting for fonts)
+    const isBuilding = () => pending.size > 0;
+
+    const dispose = () => {
+        Array.from(entries.keys()).forEach(removeEntry);
+        disposeMaterials();
+    };
+
+    return { reconcile, flush, update, setHovered, setDragged, setHighlight, getPosition, getMesh, setTheme, setEffects, setFonts, isBuilding, dispose };
+};
@@ -0,0 +1,38 @@
+// Voice input through the Web Speech API (webkit-prefixed in Chrome and Safari; missing in Firefox).
+
+const getRecognitionClass = () => (
+    typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null
+);
+
+export const isSpeechRecognitionSupported = () => getRecognitionClass() !== null;
+
+const ERROR_MESSAGES = {
+    'not-allowed': 'Microphone access was denied.',
+    'no-speech': 'No speech was heard.',
+    'audio-capture': 'No microphone was found.',
+    network: 'Speech recognition needs a network connection.',
+};
+
+// Listen for one phrase. onResult(transcript, isFinal) fires as words come in; onEnd() fires when listening stops,
+// after onError(message) if it failed. Returns { stop }.
+export const listenForPhrase = ({ onResult, onError, onEnd, lang = navigator.language || 'en-US' }) => {
+    const Recognition = getRecognitionClass();
+    const recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.interimResults = true;
+    recognition.continuous = false;
+    recognition.maxAlternatives = 1;
+
+    recognition.onresult = (event) => {
+        const transcript = [...event.results].map(result => result[0].transcript).join('');
+        onResult(transcript, event.results[event.results.length - 1].isFinal);
+    };
+    recognition.onerror = (event) => {
+        if (event.error === 'aborted') return; // stop() was called
+        onError(ERROR_MESSAGES[event.error] || `Speech recognition failed (${event.error}).`);
+    };
+    recognition.onend = onEnd;
+    recognition.start();
+
+    return { stop: () => recognition.abort() };
+};
@@ -0,0 +1,253 @@
+// Persistence layer for the task boards.
+// Saved data is wrapped in a versioned envelope so older boards can be migrated forward
+// when the task shape grows, and anything that fails validation is quarantined rather than dropped.
+
+export const SCHEMA_VERSION = 5;
+
+const STORAGE_KEY = 'holograms.tasks';
+const QUARANTINE_PREFIX = 'holograms.quarantine.';
+const IDB_NAME = 'holograms';
+const IDB_STORE = 'boards';
+const IDB_QUARANTINE_STORE = 'quarantine';
+
+// Boards whose serialized size exceeds this go to IndexedDB; localStorage only keeps a pointer
+const LOCAL_STORAGE_SIZE_LIMIT = 1024 * 1024;
+
+// Migrations keyed by the version they upgrade *from*. Each returns an envelope one version newer.
+const migrations = {
+    // Version 0: a bare task array saved before the envelope existed
+    0: (envelope) => ({ ...envelope, version: 1, savedAt: Date.now() }),
+    // Version 1 -> 2: due dates, tags, notes and subtasks
+    1: (envelope) => ({
+        ...envelope,
+        version: 2,
+        tasks: envelope.tasks.map(task => (task && typeof task === 'object'
+            ? { dueDate: null, tags: [], notes: '', subtasks: [], ...task }
+            : task)),
+    }),
+    // Version 2 -> 3: manually placed positions (subtasks included)
+    2: (envelope) => {
+        const addPosition = (task) => (task && typeof task === 'object'
+            ? { position: null, ...task, subtasks: Array.isArray(task.subtasks) ? task.subtasks.map(addPosition) : task.subtasks }
+            : task);
+        return { ...envelope, version: 3, tasks: envelope.tasks.map(addPosition) };
+    },
+    // Version 3 -> 4: multiple boards; everything saved so far lives on the one default board
+    3: (envelope) => {
+        const addBoard = (task) => (task && typeof task === 'object'
+            ? { boardId: 'default', ...task, subtasks: Array.isArray(task.subtasks) ? task.subtasks.map(addBoard) : task.subtasks }
+            : task);
+        return {
+            ...envelope,
+            version: 4,
+            boards: [{ id: 'default', name: 'Main' }],
+            tasks: envelope.tasks.map(addBoard),
+        };
+    },
+    // Version 4 -> 5: completion timestamps, unknown for tasks completed before they were recorded
+    4: (envelope) => {
+        const addCompletedAt = (task) => (task && typeof task === 'object'
+            ? { completedAt: null, ...task, subtasks: Array.isArray(task.subtasks) ? task.subtasks.map(addCompletedAt) : task.subtasks }
+            : task);
+        return { ...envelope, version: 5, tasks: envelope.tasks.map(addCompletedAt) };
+    },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check that a saved task (and each of its subtasks) has every field the app relies on
+export const isValidTask = (task) => (
+    task !== null &&
+    typeof task === 'object' &&
+    typeof task.id === 'string' && task.id !== '' &&
+    typeof task.text === 'string' &&
+    typeof task.completed === 'boolean' &&
+    (task.completedAt === null || Number.isFinite(task.completedAt)) &&
+    Number.isInteger(task.priority) && task.priority >= 0 && task.priority <= 2 &&
+    (task.dueDate === null || (typeof task.dueDate === 'string' && DATE_PATTERN.test(task.dueDate))) &&
+    Array.isArray(task.tags) && task.tags.every(tag => typeof tag === 'string') &&
+    typeof task.notes === 'string' &&
+    (task.position === null || (
+        typeof task.position === 'object' &&
+        ['x', 'y', 'z'].every(axis => Number.isFinite(task.position[axis]))
+    )) &&
+    typeof task.boardId === 'string' && task.boardId !== '' &&
+    Array.isArray(task.subtasks) && task.subtasks.every(isValidTask)
+);
+
+export const isValidBoard = (board) => (
+    board !== null &&
+    typeof board === 'object' &&
+    typeof board.id === 'string' && board.id !== '' &&
+    typeof board.name === 'string'
+);
+
+// Bring any saved payload up to SCHEMA_VERSION
+export const migrate = (data) => {
+    let envelope = Array.isArray(data) ? { version: 0, tasks: data } : data;
+    if (!envelope || typeof envelope !== 'object' || !Number.isInteger(envelope.version)) {
+        throw new Error('Saved data has no schema version');
+    }
+    if (envelope.version > SCHEMA_VERSION) {
+        throw new Error(`Saved data is from a newer schema (v${envelope.version})`);
+    }
+    while (envelope.version < SCHEMA_VERSION) {
+        const step = migrations[envelope.version];
+        if (!step) throw new Error(`No migration from schema v${envelope.version}`);
+        envelope = step(envelope);
+    }
+    if (!Array.isArray(envelope.tasks)) {
+        throw new Error('Saved data has no task list');
+    }
+    return envelope;
+};
+
+// Split a migrated task list into usable tasks and the ones that failed validation
+const partitionTasks = (tasks) => {
+    const valid = [];
+    const invalid = [];
+    const seenIds = new Set();
+    tasks.forEach(task => {
+        if (isValidTask(task) && !seenIds.has(task.id)) {
+            seenIds.add(task.id);
+            valid.push(task);
+        } else {
+            invalid.push(task);
+        }
+    });
+    return { valid, invalid };
+};
+
+const hasLocalStorage = () => {
+    try {
+        return typeof window !== 'undefined' && !!window.localStorage;
+    } catch (error) {
+        return false; // Access can throw when storage is disabled
+    }
+};
+
+const hasIndexedDB = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+// localStorage backend: synchronous under the hood, wrapped in promises to match IndexedDB
+export const createLocalStorageBackend = (key = STORAGE_KEY) => ({
+    name: 'localStorage',
+    read: async () => window.localStorage.getItem(key),
+    write: async (raw) => window.localStorage.setItem(key, raw),
+    quarantine: async (raw, reason) => {
+        window.localStorage.setItem(
+            `${QUARANTINE_PREFIX}${Date.now()}`,
+            JSON.stringify({ reason, raw })
+        );
+    },
+});
+
+// Open (and create on first use) the IndexedDB database
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(IDB_NAME, 1);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_STORE)) db.createObjectStore(IDB_STORE);
+        if (!db.objectStoreNames.contains(IDB_QUARANTINE_STORE)) db.createObjectStore(IDB_QUARANTINE_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Run a single request against an object store and resolve with its result
+const idbRequest = async (storeName, mode, makeRequest) => {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+};
+
+// IndexedDB backend for boards too large for localStorage
+export const createIndexedDBBackend = (key = STORAGE_KEY) => ({
+    name: 'indexedDB',
+    read: async () => {
+        const raw = await idbRequest(IDB_STORE, 'readonly', store => store.get(key));
+        return raw === undefined ? null : raw;
+    },
+    write: (raw) => idbRequest(IDB_STORE, 'readwrite', store => store.put(raw, key)),
+    quarantine: (raw, reason) => idbRequest(
+        IDB_QUARANTINE_STORE,
+        'readwrite',
+        store => store.put({ reason, raw }, `${key}.${Date.now()}`)
+    ),
+});
+
+// Task storage that picks a backend per save based on board size.
+// localStorage always holds either the board itself or a pointer to IndexedDB.
+export const createTaskStorage = () => {
+    const local = hasLocalStorage() ? createLocalStorageBackend() : null;
+    const indexed = hasIndexedDB() ? createIndexedDBBackend() : null;
+    let pendingWrite = Promise.resolve(); // Serialize writes so an older save never lands last
+
+    // Resolve the raw payload, following the IndexedDB pointer if there is one
+    const readRaw = async () => {
+        if (!local) return indexed ? { raw: await indexed.read(), backend: indexed } : { raw: null, backend: null };
+        const raw = await local.read();
+        if (raw && indexed) {
+            try {
+                const parsed = JSON.parse(raw);
+                if (parsed && parsed.backend === indexed.name) {
+                    return { raw: await indexed.read(), backend: indexed };
+                }
+            } catch (error) {
+                // Not valid JSON; let load() quarantine it below
+            }
+        }
+        return { raw, backend: local };
+    };
+
+    // Load tasks. Resolves with { tasks, boards, quarantined } where quarantined counts rejected entries.
+    // boards is null when nothing usable was saved, so the caller keeps its defaults.
+    const load = async () => {
+        const { raw, backend } = await readRaw();
+        if (raw === null || raw === undefined) return { tasks: [], boards: null, quarantined: 0 };
+
+        let envelope;
+        try {
+            envelope = migrate(JSON.parse(raw));
+        } catch (error) {
+            console.error('Saved tasks are unreadable, quarantining:', error);
+            await backend.quarantine(raw, error.message);
+            return { tasks: [], boards: null, quarantined: 1 };
+        }
+
+        const boards = Array.isArray(envelope.boards) ? envelope.boards.filter(isValidBoard) : [];
+
+        const { valid, invalid } = partitionTasks(envelope.tasks);
+        if (invalid.length > 0) {
+            console.warn(`Quarantining ${invalid.length} invalid saved task(s).`);
+            await backend.quarantine(JSON.stringify(invalid), 'Task failed validation');
+        }
+        return { tasks: valid, boards: boards.length > 0 ? boards : null, quarantined: invalid.length };
+    };
+
+    // Save tasks and the board list, moving them to IndexedDB once they outgrow localStorage
+    const save = (tasks, boards) => {
+        const raw = JSON.stringify({ version: SCHEMA_VERSION, savedAt: Date.now(), boards, tasks });
+        pendingWrite = pendingWrite.then(async () => {
+            if (indexed && (!local || raw.length > LOCAL_STORAGE_SIZE_LIMIT)) {
+                await indexed.write(raw);
+                if (local) await local.write(JSON.stringify({ version: SCHEMA_VERSION, backend: indexed.name }));
+            } else if (local) {
+                await local.write(raw);
+            }
+        }).catch(error => {
+            console.error('Error saving tasks:', error);
+        });
+        return pendingWrite;
+    };
+
+    return { load, save };
+};
@@ -0,0 +1,151 @@
+// Two-client check for multi-user sync: starts syncRelay.mjs on a spare port, connects two replicas of the app's
+// sync document to it and checks that they converge through concurrent and offline edits, then that a third,
+// fresh replica doesn't undo a board rename.
+//
+//   npm install ws uuid
+//   node --experimental-detect-module syncCheck.mjs   # the flag lets Node load the app's .js modules as ES modules
+//
+// Exits with 0 when every step converged, 1 otherwise. PORT picks the relay port (default 8799).
+
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { createSyncDoc } from './syncDoc.js';
+import { createTask } from './tasks.js';
+import { DEFAULT_BOARDS } from './boards.js';
+
+const PORT = Number(process.env.PORT) || 8799;
+const RELAY_URL = `ws://localhost:${PORT}`;
+const WAIT_MS = 3000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until `predicate` holds, or fail after WAIT_MS
+const waitFor = async (description, predicate) => {
+    const startedAt = Date.now();
+    while (!predicate()) {
+        if (Date.now() - startedAt > WAIT_MS) throw new Error(`Timed out waiting for ${description}`);
+        await delay(20);
+    }
+};
+
+const startRelay = () => new Promise((resolve, reject) => {
+    const relay = spawn(process.execPath, [fileURLToPath(new URL('./syncRelay.mjs', import.meta.url))], {
+        env: { ...process.env, PORT: String(PORT) },
+        stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    relay.once('error', reject);
+    relay.once('exit', code => reject(new Error(`Relay exited with code ${code}`)));
+    relay.stdout.on('data', chunk => {
+        if (String(chunk).includes('listening')) resolve(relay);
+    });
+});
+
+// A replica the way useTaskSync drives one: local state is diffed into ops, remote ops are merged and materialized
+const createClient = (name) => {
+    const doc = createSyncDoc(name);
+    let tasks = [];
+    let boards = DEFAULT_BOARDS;
+    let socket = null;
+
+    const send = (message) => {
+        if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const flush = () => {
+        const ops = [...doc.recordTasks(tasks), ...doc.recordBoards(boards)];
+        if (ops.length > 0) send({ type: 'ops', ops });
+    };
+
+    const connect = () => new Promise((resolve, reject) => {
+        socket = new WebSocket(RELAY_URL);
+        socket.once('error', reject);
+        socket.once('open', () => {
+            flush();
+            send({ type: 'hello', clientId: name, ops: doc.snapshot().ops });
+            resolve();
+        });
+        socket.on('message', data => {
+            const message = JSON.parse(data);
+            if (message.type !== 'ops') return;
+            flush();
+            if (doc.applyOps(message.ops).length === 0) return;
+            tasks = doc.materializeTasks(tasks);
+            boards = doc.materializeBoards(boards) || boards;
+        });
+    });
+
+    const disconnect = () => new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.close();
+        socket = null;
+    });
+
+    // Apply a local edit, and send it while connected
+    const edit = (updateTasks, updateBoards = (current) => current) => {
+        tasks = updateTasks(tasks);
+        boards = updateBoards(boards);
+        flush();
+    };
+
+    return {
+        name,
+        connect,
+        disconnect,
+        edit,
+        get tasks() { return tasks; },
+        get boards() { return boards; },
+    };
+};
+
+const sameState = (a, b) => JSON.stringify([a.tasks, a.boards]) === JSON.stringify([b.tasks, b.boards]);
+
+const check = async () => {
+    const alice = createClient('alice');
+    const bob = createClient('bob');
+    await alice.connect();
+    await bob.connect();
+
+    const task = createTask('Buy milk');
+    alice.edit(() => [task]);
+    await waitFor('the new task to reach bob', () => bob.tasks.length === 1);
+    console.log('✓ a task added by one client reaches the other');
+
+    // Different fields of the same task, edited at the same time
+    alice.edit(current => current.map(t => ({ ...t, priority: 2 })));
+    bob.edit(current => current.map(t => ({ ...t, text: 'Buy oat milk' })));
+    await waitFor('concurrent edits to merge', () => sameState(alice, bob) && alice.tasks[0].text === 'Buy oat milk' && alice.tasks[0].priority === 2);
+    console.log('✓ concurrent edits to different fields both survive');
+
+    // Bob works offline, then reconnects
+    await bob.disconnect();
+    bob.edit(current => current.map(t => ({ ...t, notes: 'Two cartons' })));
+    alice.edit(current => current.map(t => ({ ...t, tags: ['errands'] })));
+    await bob.connect();
+    await waitFor('offline edits to merge', () => sameState(alice, bob) && alice.tasks[0].notes === 'Two cartons' && bob.tasks[0].tags.length === 1);
+    console.log('✓ edits made offline merge on reconnect');
+
+    // A newcomer's default board must not undo a rename
+    alice.edit(current => current, current => current.map(board => ({ ...board, name: 'Groceries' })));
+    await waitFor('the rename to reach bob', () => bob.boards[0].name === 'Groceries');
+    const carol = createClient('carol');
+    await carol.connect();
+    await waitFor('the newcomer to catch up', () => carol.tasks.length === 1 && carol.boards[0].name === 'Groceries');
+    await delay(200); // Give any stray ops from the newcomer time to arrive
+    if (alice.boards[0].name !== 'Groceries' || !sameState(alice, carol)) throw new Error('The newcomer overwrote the rename');
+    console.log('✓ a new client picks up a renamed default board without undoing it');
+
+    await Promise.all([alice.disconnect(), bob.disconnect(), carol.disconnect()]);
+};
+
+const relay = await startRelay();
+try {
+    await check();
+    console.log('Sync check passed.');
+} catch (error) {
+    console.error(`Sync check failed: ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    relay.removeAllListeners('exit');
+    relay.kill();
+}
@@ -0,0 +1,144 @@
+// Browser side of multi-user sync: settings, the saved sync document, and the relay connection.
+
+export const DEFAULT_SYNC_SETTINGS = {
+    enabled: false,
+    url: 'ws://localhost:8787', // `node syncRelay.mjs`
+    name: '',
+};
+
+const SETTINGS_KEY = 'holograms.sync';
+const SNAPSHOT_KEY = 'holograms.sync.doc';
+const CLOCK_KEY = 'holograms.sync.clock'; // Highest clock counter seen, saved on its own so it survives a failed snapshot save
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+export const loadSyncSettings = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+        return { ...DEFAULT_SYNC_SETTINGS, ...(saved || {}) };
+    } catch (error) {
+        return { ...DEFAULT_SYNC_SETTINGS };
+    }
+};
+
+export const saveSyncSettings = (settings) => {
+    try {
+        window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Error saving sync settings:", error);
+    }
+};
+
+const loadSavedClock = () => {
+    try {
+        const counter = Number(window.localStorage.getItem(CLOCK_KEY));
+        return Number.isInteger(counter) && counter > 0 ? counter : 0;
+    } catch (error) {
+        return 0;
+    }
+};
+
+// The sync document (every live field with its clock), kept so edits made offline merge correctly after a reload.
+// Without a usable snapshot, the saved clock still keeps new edits above everything this browser sent before.
+export const loadSyncSnapshot = () => {
+    const counter = loadSavedClock();
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SNAPSHOT_KEY));
+        if (saved && Number.isInteger(saved.counter) && Array.isArray(saved.ops)) {
+            return { ...saved, counter: Math.max(saved.counter, counter) };
+        }
+    } catch (error) {
+        // Unreadable; fall back to the clock alone
+    }
+    return counter > 0 ? { counter, ops: [] } : null;
+};
+
+export const saveSyncSnapshot = (snapshot) => {
+    try {
+        window.localStorage.setItem(CLOCK_KEY, String(snapshot.counter));
+        window.localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot));
+    } catch (error) {
+        console.error("Error saving sync state:", error);
+    }
+};
+
+// Stable colour per client, for presence markers
+export const colorForClient = (clientId) => {
+    const hash = [...clientId].reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) >>> 0, 7);
+    return `hsl(${hash % 360}, 80%, 60%)`;
+};
+
+// Connect to the relay and keep reconnecting (with backoff) until close() is called.
+// onStatus receives 'connecting' | 'online' | 'offline'; onOpen runs after every (re)connect.
+export const createSyncConnection = ({ url, onOpen, onMessage, onStatus }) => {
+    let socket = null;
+    let retryMs = MIN_RETRY_MS;
+    let retryTimer = null;
+    let isClosed = false;
+
+    const scheduleRetry = () => {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+    };
+
+    const connect = () => {
+        if (isClosed || socket) return;
+        onStatus('connecting');
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            console.error("Invalid sync relay URL:", error);
+            socket = null;
+            onStatus('offline');
+            scheduleRetry();
+            return;
+        }
+        socket.onopen = () => {
+            retryMs = MIN_RETRY_MS;
+            onStatus('online');
+            onOpen();
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return; // Ignore anything that isn't JSON
+            }
+            onMessage(message);
+        };
+        socket.onclose = () => {
+            socket = null;
+            if (isClosed) return;
+            onStatus('offline');
+            scheduleRetry();
+        };
+    };
+
+    // Retry right away when the browser regains its network connection
+    const handleOnline = () => {
+        if (socket) return;
+        retryMs = MIN_RETRY_MS;
+        clearTimeout(retryTimer);
+        connect();
+    };
+    window.addEventListener('online', handleOnline);
+
+    // Send if connected. Returns false otherwise; the full exchange on reconnect covers anything missed.
+    const send = (message) => {
+        if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+        socket.send(JSON.stringify(message));
+        return true;
+    };
+
+    const close = () => {
+        isClosed = true;
+        clearTimeout(retryTimer);
+        window.removeEventListener('online', handleOnline);
+        if (socket) socket.close();
+    };
+
+    connect();
+    return { send, close };
+};
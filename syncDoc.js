@@ -0,0 +1,210 @@
+import { flattenTasks } from './tasks.js';
+import { DEFAULT_BOARDS } from './boards.js';
+
+// Conflict-free replicated state for multi-user sync.
+// Every task and board is a set of last-writer-wins registers, one per field, keyed by collection, id and field.
+// Each write carries a Lamport clock [counter, clientId] and the higher clock wins, so replicas that have seen
+// the same writes agree whatever order they arrived in. Edits to different fields of the same task both survive.
+// Deletion is a `deleted` register, so undoing a delete (which re-creates the task with a newer clock) brings it back.
+//
+// An op is { collection, id, field, value, clock }. syncRelay.mjs merges ops with the same rule.
+
+const TASK_FIELDS = ['text', 'completed', 'completedAt', 'priority', 'createdAt', 'dueDate', 'tags', 'notes', 'position', 'boardId', 'parentId', 'order'];
+const LATER_TASK_FIELDS = ['completedAt']; // Added after the first release; replicas that never sent them read null
+const BOARD_FIELDS = ['name', 'order'];
+const SEED_CLOCK = [0, '']; // Below every real clock: defaults every replica starts with lose to any actual edit
+
+// Order two clocks: by counter, then by client id so ties are broken the same way everywhere
+export const compareClocks = (a, b) => (a[0] - b[0]) || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+
+// Field values are JSON (tags and position are small arrays/objects)
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Task tree -> Map of id -> flat record, with the tree shape kept in parentId and sibling order
+const taskRecords = (tasks) => new Map(flattenTasks(tasks).map(({ task, parentId, siblingIndex }) => [task.id, {
+    text: task.text,
+    completed: task.completed,
+    completedAt: task.completedAt,
+    priority: task.priority,
+    createdAt: task.createdAt,
+    dueDate: task.dueDate,
+    tags: task.tags,
+    notes: task.notes,
+    position: task.position,
+    boardId: task.boardId,
+    parentId,
+    order: siblingIndex,
+}]));
+
+const boardRecords = (boards) => new Map(boards.map((board, index) => [board.id, { name: board.name, order: index }]));
+
+const byOrder = (a, b) => (a.record.order - b.record.order) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Reuse objects from `prevTasks` wherever nothing changed, so React and the scene reconciler skip them
+const shareUnchanged = (prevTasks, nextTasks) => {
+    const previous = new Map(flattenTasks(prevTasks).map(({ task }) => [task.id, task]));
+    const share = (tasks) => tasks.map(task => {
+        const subtasks = share(task.subtasks);
+        const prev = previous.get(task.id);
+        if (
+            prev &&
+            TASK_FIELDS.every(field => field === 'parentId' || field === 'order' || sameValue(prev[field], task[field])) &&
+            prev.subtasks.length === subtasks.length &&
+            prev.subtasks.every((subtask, index) => subtask === subtasks[index])
+        ) {
+            return prev;
+        }
+        return { ...task, subtasks };
+    });
+    const shared = share(nextTasks);
+    const unchanged = shared.length === prevTasks.length && shared.every((task, index) => task === prevTasks[index]);
+    return unchanged ? prevTasks : shared;
+};
+
+// `saved` is a previous snapshot() ({ counter, ops }), so clocks keep increasing across reloads
+export const createSyncDoc = (clientId, saved = null) => {
+    const entities = { tasks: new Map(), boards: new Map() }; // collection -> id -> Map(field -> { value, clock })
+    let counter = saved ? saved.counter : 0;
+
+    // Apply one op if it beats the current value. Returns true when it did.
+    const write = ({ collection, id, field, value, clock }) => {
+        const entitiesOfKind = entities[collection];
+        if (!entitiesOfKind) return false;
+        if (!entitiesOfKind.has(id)) entitiesOfKind.set(id, new Map());
+        const fields = entitiesOfKind.get(id);
+        const current = fields.get(field);
+        if (current && compareClocks(current.clock, clock) >= 0) return false;
+        fields.set(field, { value, clock });
+        return true;
+    };
+
+    // Merge ops from anywhere (the relay, a saved snapshot). Returns the ops that changed something.
+    const applyOps = (ops) => ops.filter(op => {
+        counter = Math.max(counter, op.clock[0]);
+        return write(op);
+    });
+
+    // Live (not deleted) entities as id -> plain record
+    const liveRecords = (collection) => {
+        const records = new Map();
+        entities[collection].forEach((fields, id) => {
+            if (fields.has('deleted') && fields.get('deleted').value) return;
+            const record = {};
+            fields.forEach(({ value }, field) => { record[field] = value; });
+            records.set(id, record);
+        });
+        return records;
+    };
+
+    // Tasks as the UI shows them: a tree, where tasks whose parent is deleted or not yet received are left out
+    const visibleTaskRecords = () => {
+        const records = liveRecords('tasks');
+        const visible = new Map();
+        const isVisible = (id, seen = new Set()) => {
+            if (visible.has(id)) return true;
+            const record = records.get(id);
+            if (!record || seen.has(id)) return false; // Missing, deleted, or a cycle from concurrent moves
+            if (!TASK_FIELDS.every(field => field in record || LATER_TASK_FIELDS.includes(field))) return false; // Only partly received so far
+            seen.add(id);
+            if (record.parentId !== null && !isVisible(record.parentId, seen)) return false;
+            visible.set(id, record);
+            return true;
+        };
+        records.forEach((_, id) => isVisible(id));
+        return visible;
+    };
+
+    // Stamp ops for every field where `nextRecords` differs from `currentRecords`.
+    // Entities the document has never seen that `isSeed(id, record)` accepts get SEED_CLOCK instead of a new clock.
+    const diffToOps = (collection, fields, currentRecords, nextRecords, isSeed = () => false) => {
+        const ops = [];
+        const stamp = (id, field, value, seeding = false) => {
+            if (!seeding) counter += 1;
+            ops.push({ collection, id, field, value, clock: seeding ? SEED_CLOCK : [counter, clientId] });
+        };
+        nextRecords.forEach((record, id) => {
+            const current = currentRecords.get(id);
+            const seeding = !entities[collection].has(id) && isSeed(id, record);
+            if (!current) stamp(id, 'deleted', false, seeding); // New, or restored after a delete
+            fields.forEach(field => {
+                if (!current || !sameValue(current[field], record[field])) stamp(id, field, record[field], seeding);
+            });
+        });
+        currentRecords.forEach((_, id) => {
+            if (!nextRecords.has(id)) stamp(id, 'deleted', true);
+        });
+        return ops;
+    };
+
+    // Record local edits: compare the UI's tasks/boards with the document and return the ops to send
+    const recordTasks = (tasks) => {
+        const ops = diffToOps('tasks', TASK_FIELDS, visibleTaskRecords(), taskRecords(tasks));
+        applyOps(ops);
+        return ops;
+    };
+
+    const recordBoards = (boards) => {
+        // An untouched default board is a seed, so it can't overwrite a peer's rename of the same board
+        const isDefault = (id, record) => DEFAULT_BOARDS.some((board, index) => board.id === id && board.name === record.name && index === record.order);
+        const ops = diffToOps('boards', BOARD_FIELDS, liveRecords('boards'), boardRecords(boards), isDefault);
+        applyOps(ops);
+        return ops;
+    };
+
+    // Build the task tree from the document, sharing unchanged objects with `prevTasks`
+    const materializeTasks = (prevTasks) => {
+        const records = visibleTaskRecords();
+        const children = new Map(); // parentId -> [{ id, record }]
+        records.forEach((record, id) => {
+            const key = record.parentId;
+            if (!children.has(key)) children.set(key, []);
+            children.get(key).push({ id, record });
+        });
+        const build = (parentId) => (children.get(parentId) || []).sort(byOrder).map(({ id, record }) => ({
+            id,
+            text: record.text,
+            completed: record.completed,
+            completedAt: record.completedAt ?? null,
+            priority: record.priority,
+            createdAt: record.createdAt,
+            dueDate: record.dueDate,
+            tags: record.tags,
+            notes: record.notes,
+            position: record.position,
+            boardId: record.boardId,
+            subtasks: build(id),
+        }));
+        return shareUnchanged(prevTasks, build(null));
+    };
+
+    // Boards from the document; null while it has none, so the caller keeps its own
+    const materializeBoards = (prevBoards) => {
+        const boards = [...liveRecords('boards')]
+            .filter(([, record]) => 'name' in record && 'order' in record)
+            .map(([id, record]) => ({ id, record }))
+            .sort(byOrder)
+            .map(({ id, record }) => prevBoards.find(board => board.id === id && board.name === record.name) || { id, name: record.name });
+        if (boards.length === 0) return null;
+        const unchanged = boards.length === prevBoards.length && boards.every((board, index) => board === prevBoards[index]);
+        return unchanged ? prevBoards : boards;
+    };
+
+    // Every register as an op, for saving locally and for the full exchange on (re)connect. A deleted entity keeps
+    // only its `deleted` register: that is enough to keep it deleted, and restoring it re-stamps every field anyway.
+    const snapshot = () => {
+        const ops = [];
+        Object.entries(entities).forEach(([collection, entitiesOfKind]) => {
+            entitiesOfKind.forEach((fields, id) => {
+                const isDeleted = fields.has('deleted') && fields.get('deleted').value;
+                fields.forEach(({ value, clock }, field) => {
+                    if (!isDeleted || field === 'deleted') ops.push({ collection, id, field, value, clock });
+                });
+            });
+        });
+        return { counter, ops };
+    };
+
+    if (saved) applyOps(saved.ops);
+
+    return { applyOps, recordTasks, recordBoards, materializeTasks, materializeBoards, snapshot };
+};
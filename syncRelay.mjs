@@ -0,0 +1,89 @@
+// Relay server for multi-user sync. Run with `node syncRelay.mjs` (needs the `ws` package); PORT defaults to 8787.
+//
+// The relay keeps the merged board in memory and forwards ops and presence between clients. It merges ops with
+// the same last-writer-wins rule as syncDoc.js, so a client connecting (or reconnecting after working offline)
+// sends everything it has, receives everything the relay has, and both end up with the same board.
+// Board state lives only as long as the process; clients hold full copies and restore it when they reconnect.
+//
+// Messages are JSON:
+//   client -> relay  { type: 'hello', clientId, ops }   full snapshot on (re)connect
+//                    { type: 'ops', ops }               local edits
+//                    { type: 'presence', presence }     { name, color, boardId, camera: { position, target } }
+//   relay -> client  { type: 'ops', ops }               ops that changed the relay's state
+//                    { type: 'presence', clientId, presence }
+//                    { type: 'leave', clientId }
+
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+// Same ordering as compareClocks in syncDoc.js
+const compareClocks = (a, b) => (a[0] - b[0]) || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+
+const registers = new Map(); // `${collection}|${id}|${field}` -> op
+const clients = new Map(); // socket -> { clientId, presence }
+
+// Keep ops that beat what the relay has; returns the ones that won
+const merge = (ops) => ops.filter(op => {
+    if (!op || !Array.isArray(op.clock) || typeof op.id !== 'string' || typeof op.field !== 'string') return false;
+    const key = `${op.collection}|${op.id}|${op.field}`;
+    const current = registers.get(key);
+    if (current && compareClocks(current.clock, op.clock) >= 0) return false;
+    registers.set(key, op);
+    return true;
+});
+
+const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const broadcast = (sender, message) => {
+    clients.forEach((_, socket) => {
+        if (socket !== sender) send(socket, message);
+    });
+};
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', (socket) => {
+    clients.set(socket, { clientId: null, presence: null });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return; // Ignore anything that isn't JSON
+        }
+        const client = clients.get(socket);
+
+        if (message.type === 'hello') {
+            client.clientId = String(message.clientId);
+            const changed = merge(Array.isArray(message.ops) ? message.ops : []);
+            if (changed.length > 0) broadcast(socket, { type: 'ops', ops: changed });
+            send(socket, { type: 'ops', ops: [...registers.values()] });
+            // Tell the newcomer who else is here
+            clients.forEach((other, otherSocket) => {
+                if (otherSocket !== socket && other.presence) send(socket, { type: 'presence', clientId: other.clientId, presence: other.presence });
+            });
+            console.log(`Client ${client.clientId} connected (${clients.size} online, ${changed.length} new ops).`);
+        } else if (message.type === 'ops' && Array.isArray(message.ops)) {
+            const changed = merge(message.ops);
+            if (changed.length > 0) broadcast(socket, { type: 'ops', ops: changed });
+        } else if (message.type === 'presence' && client.clientId) {
+            client.presence = message.presence;
+            broadcast(socket, { type: 'presence', clientId: client.clientId, presence: message.presence });
+        }
+    });
+
+    socket.on('close', () => {
+        const { clientId } = clients.get(socket);
+        clients.delete(socket);
+        if (clientId) {
+            broadcast(socket, { type: 'leave', clientId });
+            console.log(`Client ${clientId} left (${clients.size} online).`);
+        }
+    });
+});
+
+console.log(`Sync relay listening on ws://localhost:${PORT}`);
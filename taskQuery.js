@@ -0,0 +1,150 @@
+import { isOverdue, toDateString, addDays } from './tasks.js';
+import { boardIdOf } from './boards.js';
+
+// Search queries for the filter bar. Space-separated terms, all of which must hold:
+//   call vendor            free text: every word appears in the title, notes or tags
+//   "call vendor"          exact phrase
+//   priority:high          also p:, several values as priority:high,medium, and priority>=medium
+//   done:true / done:false also is:done, is:open, is:overdue
+//   tag:work / #work
+//   due:today | tomorrow | week | overdue | none | 2026-01-31, and due<2026-02-01, due>=2026-01-01
+//   created:2026-01-31, created>2026-01-01
+//   board:main             board name contains the value
+//   -term                  negates any term
+// parseQuery() returns { terms, errors }; a term is { negate, test(task, context) } where context is { now, boards }.
+
+const PRIORITY_NAMES = ['low', 'medium', 'high'];
+const COMPARATORS = {
+    ':': (a, b) => a === b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+};
+
+const TOKEN_PATTERN = /(-?)(?:([a-z]+)(<=|>=|:|<|>))?("[^"]*"?|[^\s"]+)/gi;
+
+const priorityFromValue = (value) => {
+    const index = PRIORITY_NAMES.findIndex(name => name === value || name[0] === value);
+    if (index !== -1) return index;
+    return /^[0-2]$/.test(value) ? Number(value) : null;
+};
+
+const searchableText = (task) => [task.text, task.notes || '', ...task.tags].join(' ').toLowerCase();
+
+const textTerm = (value) => (task) => searchableText(task).includes(value);
+
+const priorityTerm = (op, value) => {
+    const priorities = value.split(',').map(priorityFromValue);
+    if (priorities.some(priority => priority === null)) return { error: `Unknown priority "${value}", use high, medium or low` };
+    if (op !== ':' && priorities.length > 1) return { error: `priority${op} takes a single value` };
+    return { test: (task) => priorities.some(priority => COMPARATORS[op](task.priority, priority)) };
+};
+
+const doneTerm = (value) => {
+    if (['true', 'yes', '1'].includes(value)) return { test: (task) => task.completed };
+    if (['false', 'no', '0'].includes(value)) return { test: (task) => !task.completed };
+    return { error: `done: takes true or false` };
+};
+
+const isTerm = (value) => {
+    switch (value) {
+        case 'done':
+        case 'completed': return { test: (task) => task.completed };
+        case 'open': return { test: (task) => !task.completed };
+        case 'overdue': return { test: (task, { now }) => isOverdue(task, now) };
+        default: return { error: `Unknown is:${value}, use done, open or overdue` };
+    }
+};
+
+// Dates compare as 'YYYY-MM-DD' strings; `dateOf` picks the task's date or null
+const dateTerm = (field, op, value, dateOf) => {
+    if (op === ':') {
+        switch (value) {
+            case 'none': return { test: (task) => dateOf(task) === null };
+            case 'today': return { test: (task, { now }) => dateOf(task) === toDateString(new Date(now)) };
+            case 'tomorrow': return { test: (task, { now }) => dateOf(task) === toDateString(addDays(now, 1)) };
+            case 'week': return {
+                test: (task, { now }) => {
+                    const date = dateOf(task);
+                    return date !== null && date >= toDateString(new Date(now)) && date <= toDateString(addDays(now, 7));
+                },
+            };
+            case 'overdue': return { test: (task, { now }) => isOverdue(task, now) };
+            default: break;
+        }
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: `${field}${op} takes a date like 2026-01-31` };
+    return {
+        test: (task) => {
+            const date = dateOf(task);
+            return date !== null && COMPARATORS[op](date, value);
+        },
+    };
+};
+
+const boardTerm = (value) => ({
+    test: (task, { boards }) => {
+        const board = boards.find(candidate => candidate.id === boardIdOf(task, boards));
+        return board.name.toLowerCase().includes(value);
+    },
+});
+
+const fieldTerm = (field, op, value) => {
+    switch (field) {
+        case 'p':
+        case 'priority': return priorityTerm(op, value);
+        case 'done': return op === ':' ? doneTerm(value) : { error: 'done: takes true or false' };
+        case 'is': return op === ':' ? isTerm(value) : { error: 'is: takes done, open or overdue' };
+        case 'tag': return op === ':' ? { test: (task) => task.tags.some(tag => tag.toLowerCase() === value.replace(/^#/, '')) } : { error: 'tag: takes a tag name' };
+        case 'due': return dateTerm('due', op, value, (task) => task.dueDate || null);
+        case 'created': return dateTerm('created', op, value, (task) => (task.createdAt ? toDateString(new Date(task.createdAt)) : null));
+        case 'board': return boardTerm(value);
+        default: return { error: `Unknown filter "${field}${op}"` };
+    }
+};
+
+export const parseQuery = (input) => {
+    const terms = [];
+    const errors = [];
+    for (const [, minus, field, op, rawValue] of input.matchAll(TOKEN_PATTERN)) {
+        const isQuoted = rawValue.startsWith('"');
+        const value = rawValue.replace(/^"|"$/g, '').toLowerCase();
+        if (value === '') continue;
+        const negate = minus === '-';
+
+        if (!field) {
+            const test = !isQuoted && value.startsWith('#') && value.length > 1
+                ? (task) => task.tags.some(tag => tag.toLowerCase() === value.slice(1))
+                : textTerm(value);
+            terms.push({ negate, test });
+            continue;
+        }
+        const term = fieldTerm(field.toLowerCase(), op, value);
+        if (term.error) errors.push(term.error);
+        else terms.push({ negate, test: term.test });
+    }
+    return { terms, errors };
+};
+
+export const isEmptyQuery = (query) => query.terms.length === 0;
+
+export const matchesQuery = (task, query, context) => query.terms.every(({ negate, test }) => test(task, context) !== negate);
+
+// Ids of every task (subtasks included) that matches, and the ids to keep visible: the matches plus their
+// ancestors, so a matching subtask is still shown under its parent
+export const matchTaskTree = (tasks, query, context) => {
+    const matches = new Set();
+    const visible = new Set();
+    const visit = (task) => {
+        let hasMatch = matchesQuery(task, query, context);
+        if (hasMatch) matches.add(task.id);
+        task.subtasks.forEach(subtask => {
+            if (visit(subtask)) hasMatch = true;
+        });
+        if (hasMatch) visible.add(task.id);
+        return hasMatch;
+    };
+    tasks.forEach(visit);
+    return { matches, visible };
+};
@@ -0,0 +1,147 @@
+import { v4 as uuidv4 } from 'uuid'; // For unique IDs
+
+// Task model helpers.
+// A task is { id, text, completed, priority, createdAt, completedAt, dueDate, tags, notes, position, boardId, subtasks }, where
+// subtasks are tasks themselves (nested to any depth) and position is a manually placed {x, y, z} or null. Helpers here never mutate; they return new arrays for setTasks.
+// Subtasks always carry their top-level task's boardId; position is relative to the board's plane.
+
+export const DEFAULT_BOARD_ID = 'default';
+
+// Build a task with every field filled in
+export const createTask = (text, overrides = {}) => ({
+    id: uuidv4(),
+    text: text,
+    completed: false,
+    priority: 1,
+    createdAt: Date.now(),
+    completedAt: null, // When it was last completed; null while open (and for tasks completed before this was recorded)
+    dueDate: null, // 'YYYY-MM-DD'
+    tags: [],
+    notes: '',
+    position: null,
+    boardId: DEFAULT_BOARD_ID,
+    subtasks: [],
+    ...overrides,
+});
+
+// Apply `updater` to the task with `id`, wherever it is in the tree
+export const updateTaskById = (tasks, id, updater) => tasks.map(task => {
+    if (task.id === id) return updater(task);
+    if (task.subtasks.length === 0) return task;
+    const subtasks = updateTaskById(task.subtasks, id, updater);
+    return subtasks === task.subtasks ? task : { ...task, subtasks };
+});
+
+// Remove the task with `id` (and its subtasks) from the tree
+export const removeTaskById = (tasks, id) => tasks
+    .filter(task => task.id !== id)
+    .map(task => (task.subtasks.length === 0 ? task : { ...task, subtasks: removeTaskById(task.subtasks, id) }));
+
+// Deep copy of a task and its subtasks with fresh ids
+const cloneWithNewIds = (task) => ({
+    ...task,
+    id: uuidv4(),
+    createdAt: Date.now(),
+    completedAt: task.completed ? Date.now() : null,
+    subtasks: task.subtasks.map(cloneWithNewIds),
+});
+
+// Insert a copy of the task with `id` right after the original, at the same nesting level
+export const duplicateTaskById = (tasks, id) => tasks.flatMap(task => {
+    if (task.id === id) return [task, { ...cloneWithNewIds(task), text: `${task.text} (copy)`, position: null }];
+    if (task.subtasks.length === 0) return [task];
+    return [{ ...task, subtasks: duplicateTaskById(task.subtasks, id) }];
+});
+
+export const findTaskById = (tasks, id) => {
+    for (const task of tasks) {
+        if (task.id === id) return task;
+        const found = findTaskById(task.subtasks, id);
+        if (found) return found;
+    }
+    return null;
+};
+
+// Depth-first list of { task, parentId, depth, siblingIndex, siblingCount } for every task in the tree
+export const flattenTasks = (tasks, parentId = null, depth = 0) => tasks.flatMap((task, index) => [
+    { task, parentId, depth, siblingIndex: index, siblingCount: tasks.length },
+    ...flattenTasks(task.subtasks, task.id, depth + 1),
+]);
+
+// Completion fields for a task becoming `completed` at `now`; a task that stays completed keeps its timestamp
+const completionFields = (task, completed, now) => ({
+    completed,
+    completedAt: !completed ? null : task.completed ? task.completedAt : now,
+});
+
+// Set a task and all of its descendants to `completed`
+const setCompletedDeep = (task, completed, now) => ({
+    ...task,
+    ...completionFields(task, completed, now),
+    subtasks: task.subtasks.map(subtask => setCompletedDeep(subtask, completed, now)),
+});
+
+// Recompute parent completion bottom-up: a task with subtasks is complete exactly when all of them are
+export const syncParentCompletion = (tasks, now = Date.now()) => tasks.map(task => {
+    if (task.subtasks.length === 0) return task;
+    const subtasks = syncParentCompletion(task.subtasks, now);
+    return { ...task, subtasks, ...completionFields(task, subtasks.every(subtask => subtask.completed), now) };
+});
+
+// Remove every completed task (and its subtasks) anywhere in the tree
+export const removeCompletedTasks = (tasks) => tasks
+    .filter(task => !task.completed)
+    .map(task => (task.subtasks.length === 0 ? task : { ...task, subtasks: removeCompletedTasks(task.subtasks) }));
+
+// Set a task and all of its descendants to `boardId`
+const setBoardDeep = (task, boardId) => ({
+    ...task,
+    boardId,
+    subtasks: task.subtasks.map(subtask => setBoardDeep(subtask, boardId)),
+});
+
+// Move a top-level task (and its subtasks) to another board, optionally placing it at `position` there
+export const moveTaskToBoard = (tasks, id, boardId, position = null) => tasks.map(task => (
+    task.id === id ? { ...setBoardDeep(task, boardId), position } : task
+));
+
+// Toggle a task; toggling a parent applies to its whole subtree, and ancestors follow their subtasks
+export const toggleCompletionById = (tasks, id, now = Date.now()) => syncParentCompletion(
+    updateTaskById(tasks, id, task => setCompletedDeep(task, !task.completed, now)),
+    now
+);
+
+// Leaf subtask progress as { done, total }, or null for a task without subtasks
+export const subtaskProgress = (task) => {
+    const leaves = flattenTasks(task.subtasks).filter(({ task: subtask }) => subtask.subtasks.length === 0);
+    if (leaves.length === 0) return null;
+    return {
+        done: leaves.filter(({ task: subtask }) => subtask.completed).length,
+        total: leaves.length,
+    };
+};
+
+// Local calendar date as 'YYYY-MM-DD', the format of dueDate
+export const toDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+export const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+// True when an open task's due date has passed
+export const isOverdue = (task, now = Date.now()) => {
+    if (task.completed || !task.dueDate) return false;
+    const due = new Date(`${task.dueDate}T23:59:59`); // Due dates run to the end of the day, local time
+    return !Number.isNaN(due.getTime()) && due.getTime() < now;
+};
+
+// Parse a comma-separated tag input into a clean, de-duplicated list
+export const parseTags = (input) => [...new Set(
+    input.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(tag => tag !== '')
+)];
@@ -0,0 +1,148 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Undo/redo for task mutations.
+// Every mutation runs through `execute(label, updater)`, which records the top-level tasks it changed as
+// { id, before, after } pairs. Undo and redo merge those per-task snapshots into the current list field by field,
+// subtasks included: only fields still as the command left them are rolled back, so changes made in between
+// (imports, other tabs, sync) survive an undo, even on the same task.
+
+const MAX_ENTRIES = 200;
+const COALESCE_MS = 1500; // Edits with the same coalesce key this close together share one entry
+
+// Top-level tasks that differ between two lists. Unchanged tasks keep their object identity, so this is cheap.
+export const diffTasks = (before, after) => {
+    const beforeById = new Map(before.map((task, index) => [task.id, { task, index }]));
+    const afterById = new Map(after.map((task, index) => [task.id, { task, index }]));
+    const changes = [];
+    beforeById.forEach(({ task, index }, id) => {
+        const next = afterById.get(id);
+        if (!next) changes.push({ id, before: task, after: null, beforeIndex: index, afterIndex: null });
+        else if (next.task !== task) changes.push({ id, before: task, after: next.task, beforeIndex: index, afterIndex: next.index });
+    });
+    afterById.forEach(({ task, index }, id) => {
+        if (!beforeById.has(id)) changes.push({ id, before: null, after: task, beforeIndex: null, afterIndex: index });
+    });
+    return changes;
+};
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of one task moving from `from` to `to`: fields that still hold `from`'s value take `to`'s,
+// fields changed since keep the current value. Subtasks merge the same way, by id.
+const mergeTask = (current, from, to) => {
+    if (current === from) return to;
+    const merged = { ...current };
+    Object.keys({ ...from, ...to }).forEach(field => {
+        if (field !== 'subtasks' && sameValue(current[field], from[field])) merged[field] = to[field];
+    });
+    merged.subtasks = mergeSubtasks(current.subtasks, from.subtasks, to.subtasks);
+    return merged;
+};
+
+const mergeSubtasks = (current, from, to) => {
+    const currentById = new Map(current.map(task => [task.id, task]));
+    const fromById = new Map(from.map(task => [task.id, task]));
+    const toIds = new Set(to.map(task => task.id));
+    const kept = to.flatMap(task => {
+        const existing = currentById.get(task.id);
+        if (!existing) return fromById.has(task.id) ? [] : [task]; // Deleted since, or brought back by this step
+        return [fromById.has(task.id) ? mergeTask(existing, fromById.get(task.id), task) : existing];
+    });
+    // Subtasks added since stay; ones only `from` had go
+    const added = current.filter(task => !toIds.has(task.id) && !fromById.has(task.id));
+    const merged = [...kept, ...added];
+    return merged.length === current.length && merged.every((task, index) => task === current[index]) ? current : merged;
+};
+
+// Apply one side ('before' for undo, 'after' for redo) of a change set to `tasks`
+export const applyChanges = (tasks, changes, side) => {
+    const ordered = side === 'before' ? [...changes].reverse() : changes;
+    const otherSide = side === 'before' ? 'after' : 'before';
+    return ordered.reduce((current, change) => {
+        const target = change[side];
+        const existingIndex = current.findIndex(task => task.id === change.id);
+        if (target === null) {
+            return existingIndex === -1 ? current : current.filter(task => task.id !== change.id);
+        }
+        const source = change[otherSide];
+        if (existingIndex !== -1) {
+            return current.map(task => (task.id === change.id ? (source ? mergeTask(task, source, target) : task) : task));
+        }
+        if (source !== null) return current; // Deleted since (by sync, another tab), so it stays deleted
+        // Undoing a delete or redoing an add: re-insert where it used to be, as far as the list still allows
+        const index = Math.min(change[`${side}Index`], current.length);
+        return [...current.slice(0, index), target, ...current.slice(index)];
+    }, tasks);
+};
+
+// `tasksRef` must hold the latest tasks; it is updated synchronously here so back-to-back commands chain.
+export const useTaskHistory = (tasksRef, setTasks) => {
+    const logRef = useRef({ entries: [], position: 0 }); // entries[0, position) are applied
+    const [, setVersion] = useState(0); // Re-render when the log changes
+
+    const commit = (log) => {
+        logRef.current = log;
+        setVersion(version => version + 1);
+    };
+
+    const replaceTasks = (nextTasks) => {
+        tasksRef.current = nextTasks;
+        setTasks(nextTasks);
+    };
+
+    // Run a mutation and record it. Returns the history entry, or null when nothing changed.
+    const execute = useCallback((label, updater, { coalesceKey = null } = {}) => {
+        const before = tasksRef.current;
+        const after = updater(before);
+        const changes = diffTasks(before, after);
+        if (changes.length === 0) return null;
+        replaceTasks(after);
+
+        const { entries, position } = logRef.current;
+        const applied = entries.slice(0, position); // A new command discards the redo stack
+        const last = applied[applied.length - 1];
+        const now = Date.now();
+
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.timestamp < COALESCE_MS) {
+            // Merge into the previous entry, keeping its original "before" snapshots
+            const merged = diffTasks(applyChanges(after, [...last.changes, ...changes], 'before'), after);
+            const entry = { ...last, changes: merged, timestamp: now };
+            commit({ entries: [...applied.slice(0, -1), entry], position: applied.length });
+            return entry;
+        }
+
+        const entry = { id: `${now}-${applied.length}`, label, changes, timestamp: now, coalesceKey };
+        const trimmed = [...applied, entry].slice(-MAX_ENTRIES);
+        commit({ entries: trimmed, position: trimmed.length });
+        return entry;
+    }, []);
+
+    const undo = useCallback(() => {
+        const { entries, position } = logRef.current;
+        if (position === 0) return null;
+        const entry = entries[position - 1];
+        replaceTasks(applyChanges(tasksRef.current, entry.changes, 'before'));
+        commit({ entries, position: position - 1 });
+        return entry;
+    }, []);
+
+    const redo = useCallback(() => {
+        const { entries, position } = logRef.current;
+        if (position === entries.length) return null;
+        const entry = entries[position];
+        replaceTasks(applyChanges(tasksRef.current, entry.changes, 'after'));
+        commit({ entries, position: position + 1 });
+        return entry;
+    }, []);
+
+    const { entries, position } = logRef.current;
+    return {
+        execute,
+        undo,
+        redo,
+        entries,
+        position,
+        canUndo: position > 0,
+        canRedo: position < entries.length,
+    };
+};
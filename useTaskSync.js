@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { createSyncDoc } from './syncDoc.js';
+import { createSyncConnection, loadSyncSnapshot, saveSyncSnapshot, colorForClient } from './syncClient.js';
+
+// Multi-user sync for tasks and boards.
+// Local edits are diffed into ops against the sync document and sent to the relay; ops from the relay are merged
+// into the document and the result replaces `tasks`/`boards`. Everything works offline: the document keeps
+// accumulating local ops, and every (re)connect exchanges full state with the relay.
+
+const SNAPSHOT_SAVE_MS = 1000;
+const PRESENCE_INTERVAL_MS = 150; // Camera updates sent at most this often
+
+// Round camera coordinates so tiny damping movements don't count as changes
+const roundVector = (vector) => [vector.x, vector.y, vector.z].map(value => Math.round(value * 100) / 100);
+
+// `tasksRef` is shared with useTaskHistory, so remote changes and undo see the same latest tasks.
+// `isReady` should turn true once saved tasks and boards have been loaded.
+export const useTaskSync = ({ settings, tasks, tasksRef, setTasks, boards, setBoards, isReady }) => {
+    const [status, setStatus] = useState('off'); // 'off' | 'connecting' | 'online' | 'offline'
+    const [peers, setPeers] = useState([]); // [{ clientId, presence }] for other connected users
+    const clientIdRef = useRef(null);
+    const docRef = useRef(null);
+    const connectionRef = useRef(null);
+    const boardsRef = useRef(boards);
+    const settingsRef = useRef(settings);
+    const saveTimerRef = useRef(null);
+    const presenceRef = useRef({ lastSentAt: 0, lastKey: null, pending: null, timer: null });
+
+    if (clientIdRef.current === null) clientIdRef.current = uuidv4(); // One replica per page load
+
+    useEffect(() => {
+        settingsRef.current = settings;
+        if (presenceRef.current.pending) sendPresence(presenceRef.current.pending); // A new name shows up right away
+    }, [settings]);
+
+    const scheduleSnapshotSave = () => {
+        if (saveTimerRef.current) return;
+        saveTimerRef.current = setTimeout(() => {
+            saveTimerRef.current = null;
+            if (docRef.current) saveSyncSnapshot(docRef.current.snapshot());
+        }, SNAPSHOT_SAVE_MS);
+    };
+
+    // Diff the latest local state into ops and send them
+    const flushLocal = (doc, tasksNow, boardsNow) => {
+        const ops = [...doc.recordTasks(tasksNow), ...doc.recordBoards(boardsNow)];
+        if (ops.length === 0) return;
+        if (connectionRef.current) connectionRef.current.send({ type: 'ops', ops });
+        scheduleSnapshotSave();
+    };
+
+    // Connect while sync is enabled
+    useEffect(() => {
+        if (!settings.enabled || !isReady) {
+            setStatus('off');
+            return;
+        }
+        if (!docRef.current) docRef.current = createSyncDoc(clientIdRef.current, loadSyncSnapshot());
+        const doc = docRef.current;
+        flushLocal(doc, tasksRef.current, boardsRef.current); // Picks up edits made while sync was off
+
+        const handleMessage = (message) => {
+            if (message.type === 'ops' && Array.isArray(message.ops)) {
+                // Record pending local edits first, so materializing the document can't overwrite them
+                flushLocal(doc, tasksRef.current, boardsRef.current);
+                if (doc.applyOps(message.ops).length === 0) return;
+                scheduleSnapshotSave();
+
+                const nextTasks = doc.materializeTasks(tasksRef.current);
+                if (nextTasks !== tasksRef.current) {
+                    tasksRef.current = nextTasks;
+                    setTasks(nextTasks);
+                }
+                const nextBoards = doc.materializeBoards(boardsRef.current);
+                if (nextBoards && nextBoards !== boardsRef.current) {
+                    boardsRef.current = nextBoards;
+                    setBoards(nextBoards);
+                }
+            } else if (message.type === 'presence' && message.clientId) {
+                setPeers(prevPeers => [
+                    ...prevPeers.filter(peer => peer.clientId !== message.clientId),
+                    { clientId: message.clientId, presence: message.presence },
+                ]);
+            } else if (message.type === 'leave') {
+                setPeers(prevPeers => prevPeers.filter(peer => peer.clientId !== message.clientId));
+            }
+        };
+
+        const connection = createSyncConnection({
+            url: settings.url,
+            onOpen: () => {
+                connection.send({ type: 'hello', clientId: clientIdRef.current, ops: doc.snapshot().ops });
+                presenceRef.current.lastKey = null; // Re-announce presence to the relay
+                if (presenceRef.current.pending) sendPresence(presenceRef.current.pending);
+            },
+            onMessage: handleMessage,
+            onStatus: (nextStatus) => {
+                setStatus(nextStatus);
+                if (nextStatus !== 'online') setPeers([]);
+            },
+        });
+        connectionRef.current = connection;
+
+        return () => {
+            connection.close();
+            connectionRef.current = null;
+            setPeers([]);
+            clearTimeout(saveTimerRef.current);
+            saveTimerRef.current = null;
+            saveSyncSnapshot(doc.snapshot());
+        };
+    }, [settings.enabled, settings.url, isReady]);
+
+    // Send local edits as they happen. Remote merges come back through here too, but produce no ops.
+    useEffect(() => {
+        boardsRef.current = boards;
+        if (docRef.current && connectionRef.current) flushLocal(docRef.current, tasks, boards);
+    }, [tasks, boards]);
+
+    const sendPresence = (state) => {
+        const presenceState = presenceRef.current;
+        const presence = {
+            name: settingsRef.current.name || 'Guest',
+            color: colorForClient(clientIdRef.current),
+            boardId: state.boardId,
+            camera: { position: roundVector(state.position), target: roundVector(state.target) },
+        };
+        const key = JSON.stringify(presence);
+        if (key === presenceState.lastKey) return;
+        if (connectionRef.current && connectionRef.current.send({ type: 'presence', presence })) {
+            presenceState.lastKey = key;
+            presenceState.lastSentAt = performance.now();
+        }
+    };
+
+    // Share this user's camera ({ position, target } vectors) and board, throttled
+    const publishPresence = useCallback((state) => {
+        const presenceState = presenceRef.current;
+        presenceState.pending = state;
+        if (presenceState.timer) return;
+        const wait = Math.max(0, presenceState.lastSentAt + PRESENCE_INTERVAL_MS - performance.now());
+        presenceState.timer = setTimeout(() => {
+            presenceState.timer = null;
+            sendPresence(presenceState.pending);
+        }, wait);
+    }, []);
+
+    useEffect(() => () => clearTimeout(presenceRef.current.timer), []);
+
+    return { status, peers, clientId: clientIdRef.current, publishPresence };
+};
@@ -0,0 +1,58 @@
+// Display settings for the 3D view: colour theme, effect intensity, bloom, reduced motion and debug helpers.
+
+// Hologram colours per theme. Open tasks take their priority's colour (low, medium, high).
+export const THEMES = {
+    cyan: {
+        label: 'Cyan',
+        background: 0x0a0a1a,
+        priorityColors: [0x3399ff, 0x00ffff, 0xff44ff],
+        done: 0x00ff66,
+        overdue: 0xff3355,
+    },
+    amber: {
+        label: 'Amber terminal',
+        background: 0x120a02,
+        priorityColors: [0xcc8833, 0xffb000, 0xffee66],
+        done: 0x88ff44,
+        overdue: 0xff4422,
+    },
+    ice: {
+        label: 'Ice',
+        background: 0x050b14,
+        priorityColors: [0x88aaff, 0xaaddff, 0xffffff],
+        done: 0x66ffcc,
+        overdue: 0xff6688,
+    },
+};
+
+const prefersReducedMotion = () => (
+    typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+);
+
+export const DEFAULT_VISUAL_SETTINGS = {
+    theme: 'cyan',
+    intensity: 1, // 0 turns rim glow, scanlines and bloom off; 2 doubles them
+    bloom: true,
+    reducedMotion: prefersReducedMotion(), // Also low-power: no bloom, no animation, pixel ratio 1
+    showDebugHelpers: false, // Axes and per-board grids
+};
+
+const SETTINGS_KEY = 'holograms.visual';
+
+export const loadVisualSettings = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+        const settings = { ...DEFAULT_VISUAL_SETTINGS, ...(saved || {}) };
+        return THEMES[settings.theme] ? settings : { ...settings, theme: DEFAULT_VISUAL_SETTINGS.theme };
+    } catch (error) {
+        return { ...DEFAULT_VISUAL_SETTINGS };
+    }
+};
+
+export const saveVisualSettings = (settings) => {
+    try {
+        window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Error saving display settings:", error);
+    }
+};